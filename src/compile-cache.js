@@ -0,0 +1,56 @@
+const configLoader = require('./utils/config');
+const logger = require('./utils/logger');
+const CompileCache = require('./contracts/cache');
+
+function printUsage() {
+  logger.info('Usage: npm run compile-cache -- <list|show <key>|clear>');
+}
+
+function main() {
+  const [command = 'list', key] = process.argv.slice(2);
+
+  const config = configLoader.loadConfigFile();
+  const compilerConfig = (config.deploy && config.deploy.compiler) || {};
+  const cache = new CompileCache(compilerConfig.cacheDir);
+
+  if (command === 'list') {
+    const entries = cache.list();
+    logger.info(`${entries.length} cached compile outputs in ${cache.cacheDir}`);
+    for (const entry of entries) {
+      logger.info(`${entry.key.substring(0, 16)}  ${entry.contractName}  solc ${entry.compilerVersion}  ${(entry.size / 1024).toFixed(1)} KB  ${entry.cachedAt}`);
+    }
+  } else if (command === 'show') {
+    if (!key) {
+      printUsage();
+      process.exit(1);
+    }
+
+    // Allow abbreviated keys as printed by list
+    const match = cache.list().find(entry => entry.key.startsWith(key));
+    if (!match) {
+      logger.error(`No cache entry found for key ${key}`);
+      process.exit(1);
+    }
+
+    const entry = cache.get(match.key);
+    logger.info(`Key: ${entry.key}`);
+    logger.info(`Contract: ${entry.contractName}`);
+    logger.info(`Source hash: ${entry.sourceHash}`);
+    logger.info(`Compiler: ${entry.compiler.version} ${JSON.stringify(entry.compiler.settings)}`);
+    logger.info(`ABI entries: ${entry.abi.length}`);
+    logger.info(`Bytecode size: ${entry.bytecode.length / 2} bytes`);
+    logger.info(`Cached at: ${entry.cachedAt}`);
+  } else if (command === 'clear') {
+    const removed = cache.clear();
+    logger.info(`Removed ${removed} cached compile outputs from ${cache.cacheDir}`);
+  } else {
+    printUsage();
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { main };
@@ -0,0 +1,103 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const { sha256 } = require('../utils/hash');
+
+// Content-addressed store of compiler output. Entries are keyed by the hash of the
+// source, contract name, compiler version and settings, so any change to one of them
+// results in a fresh compile.
+class CompileCache {
+  constructor(cacheDir = 'cache/compile') {
+    this.cacheDir = path.resolve(process.cwd(), cacheDir);
+  }
+
+  _ensureDir() {
+    if (!fs.existsSync(this.cacheDir)) {
+      fs.mkdirSync(this.cacheDir, { recursive: true });
+    }
+  }
+
+  _entryPath(key) {
+    return path.join(this.cacheDir, `${key}.json`);
+  }
+
+  computeKey(source, contractName, compilerVersion, settings) {
+    return sha256(JSON.stringify({
+      sourceHash: sha256(source),
+      contractName,
+      compilerVersion,
+      settings
+    }));
+  }
+
+  get(key) {
+    const entryPath = this._entryPath(key);
+    if (!fs.existsSync(entryPath)) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(fs.readFileSync(entryPath, 'utf8'));
+    } catch (error) {
+      logger.warn(`Ignoring unreadable compile cache entry ${key}: ${error.message}`);
+      return null;
+    }
+  }
+
+  set(key, entry) {
+    try {
+      this._ensureDir();
+      const record = {
+        key,
+        ...entry,
+        cachedAt: new Date().toISOString()
+      };
+
+      // Write to a temporary file first so a crash never leaves a truncated entry
+      const entryPath = this._entryPath(key);
+      const tmpPath = `${entryPath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(record, null, 2));
+      fs.renameSync(tmpPath, entryPath);
+    } catch (error) {
+      logger.warn(`Failed to write compile cache entry ${key}: ${error.message}`);
+    }
+  }
+
+  // Summaries of all cached entries, newest first
+  list() {
+    if (!fs.existsSync(this.cacheDir)) {
+      return [];
+    }
+
+    return fs.readdirSync(this.cacheDir)
+      .filter(file => file.endsWith('.json'))
+      .map(file => {
+        const entryPath = path.join(this.cacheDir, file);
+        const entry = this.get(path.basename(file, '.json'));
+        return {
+          key: path.basename(file, '.json'),
+          contractName: entry ? entry.contractName : null,
+          compilerVersion: entry && entry.compiler ? entry.compiler.version : null,
+          sourceHash: entry ? entry.sourceHash : null,
+          cachedAt: entry ? entry.cachedAt : null,
+          size: fs.statSync(entryPath).size
+        };
+      })
+      .sort((a, b) => String(b.cachedAt).localeCompare(String(a.cachedAt)));
+  }
+
+  // Remove all entries and return how many were deleted
+  clear() {
+    if (!fs.existsSync(this.cacheDir)) {
+      return 0;
+    }
+
+    const files = fs.readdirSync(this.cacheDir).filter(file => file.endsWith('.json'));
+    for (const file of files) {
+      fs.unlinkSync(path.join(this.cacheDir, file));
+    }
+    return files.length;
+  }
+}
+
+module.exports = CompileCache;
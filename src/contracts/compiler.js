@@ -0,0 +1,78 @@
+const solc = require('solc');
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+// Wraps a solc-js build together with the compiler settings from deploy.compiler
+class Compiler {
+  constructor(config = {}) {
+    this.config = config;
+    this.soljsonDir = path.resolve(process.cwd(), config.soljsonDir || 'compilers');
+    this.solc = this._loadSolc(config.version);
+
+    const { optimizer } = this.getSettings();
+    logger.info(`Using solc ${this.getVersion()} (optimizer: ${optimizer.enabled ? `${optimizer.runs} runs` : 'off'})`);
+  }
+
+  // Use the installed solc-js unless a different version is pinned, in which case the
+  // matching soljson build must be present in the local compilers directory. Versions
+  // match exactly (0.8.3 is not 0.8.30), up to the build separator unless a build is given.
+  _loadSolc(version) {
+    if (!version) {
+      return solc;
+    }
+    const prefix = String(version).includes('+') ? String(version) : `${version}+`;
+    if (solc.version().startsWith(prefix)) {
+      return solc;
+    }
+
+    const candidates = fs.existsSync(this.soljsonDir)
+      ? fs.readdirSync(this.soljsonDir).filter(file =>
+          file.startsWith(`soljson-v${prefix}`) && file.endsWith('.js')
+        )
+      : [];
+
+    if (candidates.length === 0) {
+      throw new Error(`solc ${version} is not available locally. Installed version is ${solc.version()}; place soljson-v${version}+commit.<hash>.js in ${this.soljsonDir}`);
+    }
+
+    const soljsonPath = path.join(this.soljsonDir, candidates.sort()[0]);
+    logger.info(`Loading solc build from ${soljsonPath}`);
+    return solc.setupMethods(require(soljsonPath));
+  }
+
+  // Full solc version string, e.g. 0.8.26+commit.8a97fa7a.Emscripten.clang
+  getVersion() {
+    return this.solc.version();
+  }
+
+  // Compiler settings that affect the produced bytecode (without outputSelection)
+  getSettings() {
+    const optimizer = this.config.optimizer || {};
+    const settings = {
+      optimizer: {
+        enabled: optimizer.enabled === true,
+        runs: optimizer.runs ?? 200
+      }
+    };
+
+    if (this.config.evmVersion) {
+      settings.evmVersion = this.config.evmVersion;
+    }
+
+    if (this.config.viaIR) {
+      settings.viaIR = true;
+    }
+
+    return settings;
+  }
+
+  // Compile a standard-JSON input and return the parsed standard-JSON output.
+  // findImports is called for imports missing from the input sources.
+  compile(input, findImports = null) {
+    const callbacks = findImports ? { import: findImports } : undefined;
+    return JSON.parse(this.solc.compile(JSON.stringify(input), callbacks));
+  }
+}
+
+module.exports = Compiler;
@@ -1,314 +1,253 @@
-const solc = require('solc');
+const fs = require('fs');
+const path = require('path');
 const logger = require('../utils/logger');
+const { generateSeed, createRandom } = require('../utils/random');
+const { sha256 } = require('../utils/hash');
+const Compiler = require('./compiler');
+const CompileCache = require('./cache');
+const ImportResolver = require('./imports');
+const builtinTemplates = require('./templates');
+
+// EIP-170 runtime code size limit and EIP-3860 initcode size limit, in bytes
+const MAX_RUNTIME_SIZE = 24576;
+const MAX_INITCODE_SIZE = 2 * MAX_RUNTIME_SIZE;
+
+// Fields of a compile result, as returned by compileContract and stored in the compile cache
+const ARTIFACT_FIELDS = [
+  'contractName',
+  'sourceName',
+  'source',
+  'abi',
+  'bytecode',
+  'deployedBytecode',
+  'sourceMap',
+  'deployedSourceMap',
+  'storageLayout',
+  'metadata',
+  'standardJsonInput',
+  'compiler'
+];
 
 class ContractGenerator {
-  constructor() {
-    this.contractName = 'MultiFunction';
+  constructor(templateName = 'multiFunction', compilerConfig = {}) {
+    compilerConfig = compilerConfig || {};
+    this.compiler = new Compiler(compilerConfig);
+    this.cache = compilerConfig.cache === false ? null : new CompileCache(compilerConfig.cacheDir);
+    this.templates = new Map();
+    builtinTemplates.forEach(template => this.registerTemplate(template));
+    this.useTemplate(templateName);
   }
 
-  // Generate a contract with many functions for interaction
-  generateContractSource(functionCount = 100) {
-    logger.info(`Generating contract with ${functionCount} functions`);
-    
-    // Track which utility functions we need to include
-    const utilityFunctions = new Set();
-    
-    let contractSource = `
-// SPDX-License-Identifier: MIT
-pragma solidity ^0.8.0;
-
-contract ${this.contractName} {
-    uint256 private value;
-    mapping(string => uint256) private namedValues;
-    mapping(address => uint256) private userValues;
-    string[] private keys;
-    address public owner;
-    
-    event ValueChanged(uint256 oldValue, uint256 newValue, address indexed changer);
-    event NamedValueChanged(string key, uint256 oldValue, uint256 newValue);
-    event UserValueChanged(address user, uint256 oldValue, uint256 newValue);
-    
-    constructor(uint256 initialValue) {
-        value = initialValue;
-        owner = msg.sender;
+  // Add a template to the registry. A template needs a unique name, the name of the
+  // contract it compiles to, its constructor arguments and a generate() function.
+  // Templates with a JavaScript reference model of their contracts also provide
+  // generateModel(), which returns the model's spec, and the ReferenceModel class.
+  registerTemplate(template) {
+    if (!template || !template.name || typeof template.generate !== 'function') {
+      throw new Error('Contract template must have a name and a generate() function');
     }
-    
-    function getValue() public view returns (uint256) {
-        return value;
+    if (!template.contractName) {
+      throw new Error(`Contract template ${template.name} does not declare a contractName`);
     }
-    
-    function setValue(uint256 newValue) public {
-        uint256 oldValue = value;
-        value = newValue;
-        emit ValueChanged(oldValue, newValue, msg.sender);
+
+    this.templates.set(template.name, {
+      constructorArgs: [],
+      ...template
+    });
+  }
+
+  // Load template modules from files, resolved against the project directory
+  loadTemplates(templatePaths = []) {
+    for (const templatePath of templatePaths) {
+      const template = require(path.resolve(process.cwd(), templatePath));
+      this.registerTemplate(template);
+      logger.info(`Loaded contract template ${template.name} from ${templatePath}`);
     }
-    `;
+  }
 
-    // Function types for diversity (omit 'store' from initial list to control its frequency)
-    const functionTypes = [
-      'increment', 'decrement', 'multiply', 'divide', 'power', 
-      'add', 'subtract', 'set', 'get', 'toggle', 'update', 
-      'push', 'pop', 'shift', 'unshift', 'calculate',
-      'retrieve', 'compare', 'max', 'min', 'average', 'reset',
-      'approve', 'burn', 'mint', 'swap', 'lock'
-    ];
-    
-    // Limit complex functions that might use utility functions to avoid duplicates
-    const complexFunctionTypes = ['store'];
-    // Only allow a small number of complex functions
-    const maxComplexFunctions = 3;
-    
-    // Nouns for function naming
-    const nouns = [
-      'Value', 'Counter', 'Number', 'Amount', 'Total', 'Balance', 
-      'Score', 'Point', 'Quantity', 'Sum', 'Product', 'Difference',
-      'Data', 'Token', 'Asset', 'Share', 'Unit', 'Record', 'Item',
-      'Element', 'Position', 'State', 'Status', 'Limit', 'Threshold'
-    ];
-    
-    // Modifiers for function naming
-    const modifiers = [
-      'Max', 'Min', 'Average', 'Current', 'Previous', 'Next', 
-      'First', 'Last', 'Primary', 'Secondary', 'Global', 'Local',
-      'User', 'Admin', 'Public', 'Private', 'System', 'Custom',
-      'Temporary', 'Permanent', 'Shared', 'Personal', 'Daily', 'Total'
-    ];
-    
-    const usedFunctionNames = new Set();
-    
-    // Track complex function count
-    let complexFunctionCount = 0;
-    
-    for (let i = 0; i < functionCount; i++) {
-      // Decide whether to use a complex function (if we haven't used too many)
-      let functionType;
-      if (complexFunctionCount < maxComplexFunctions && Math.random() < 0.1) {
-        // 10% chance of using complex function if we haven't reached the limit
-        functionType = complexFunctionTypes[Math.floor(Math.random() * complexFunctionTypes.length)];
-        complexFunctionCount++;
+  getTemplate(name) {
+    const template = this.templates.get(name);
+    if (!template) {
+      throw new Error(`Unknown contract template: ${name}. Available templates: ${this.listTemplates().join(', ')}`);
+    }
+    return template;
+  }
+
+  listTemplates() {
+    return Array.from(this.templates.keys());
+  }
+
+  // Select the default template used when no template is passed explicitly
+  useTemplate(name) {
+    this.template = this.getTemplate(name);
+    this.contractName = this.template.contractName;
+  }
+
+  // Resolve constructor arguments in declaration order. Values come from
+  // deployConfig.constructorArgs, then a top-level deployConfig key of the same name,
+  // then the template default. "$wallet" stands for the deploying wallet's address.
+  resolveConstructorArgs(deployConfig = {}, templateName = this.template.name, walletAddress = null) {
+    const template = this.getTemplate(templateName);
+    const configuredArgs = deployConfig.constructorArgs || {};
+
+    return template.constructorArgs.map(arg => {
+      let value;
+      if (configuredArgs[arg.name] !== undefined) {
+        value = configuredArgs[arg.name];
+      } else if (deployConfig[arg.name] !== undefined) {
+        value = deployConfig[arg.name];
+      } else if (arg.default !== undefined) {
+        value = arg.default;
       } else {
-        // Regular function type
-        functionType = functionTypes[Math.floor(Math.random() * functionTypes.length)];
+        throw new Error(`Missing constructor argument ${arg.name} (${arg.type}) for template ${template.name}`);
       }
-      
-      const noun = nouns[Math.floor(Math.random() * nouns.length)];
-      const modifier = modifiers[Math.floor(Math.random() * modifiers.length)];
-      
-      let functionName = `${functionType}${modifier}${noun}`;
-      
-      // Ensure no duplicate function names
-      if (usedFunctionNames.has(functionName)) {
-        functionName = `${functionName}${i}`;
-      }
-      usedFunctionNames.add(functionName);
-      
-      // Generate function implementation based on type
-      let functionCode = '';
-      
-      if (functionType === 'increment') {
-        functionCode = `
-    function ${functionName}(uint256 amount) public {
-        uint256 oldValue = value;
-        value += amount;
-        emit ValueChanged(oldValue, value, msg.sender);
-    }`;
-      } else if (functionType === 'decrement') {
-        functionCode = `
-    function ${functionName}(uint256 amount) public {
-        uint256 oldValue = value;
-        require(value >= amount, "Value would be negative");
-        value -= amount;
-        emit ValueChanged(oldValue, value, msg.sender);
-    }`;
-      } else if (functionType === 'multiply') {
-        functionCode = `
-    function ${functionName}(uint256 factor) public {
-        uint256 oldValue = value;
-        value *= factor;
-        emit ValueChanged(oldValue, value, msg.sender);
-    }`;
-      } else if (functionType === 'divide') {
-        functionCode = `
-    function ${functionName}(uint256 divisor) public {
-        require(divisor > 0, "Cannot divide by zero");
-        uint256 oldValue = value;
-        value /= divisor;
-        emit ValueChanged(oldValue, value, msg.sender);
-    }`;
-      } else if (functionType === 'power') {
-        functionCode = `
-    function ${functionName}(uint256 exponent) public {
-        uint256 oldValue = value;
-        uint256 result = 1;
-        uint256 base = value;
-        for (uint i = 0; i < exponent; i++) {
-            result *= base;
-        }
-        value = result;
-        emit ValueChanged(oldValue, value, msg.sender);
-    }`;
-      } else if (functionType === 'set') {
-        functionCode = `
-    function ${functionName}(string memory key, uint256 newValue) public {
-        uint256 oldValue = namedValues[key];
-        namedValues[key] = newValue;
-        if (oldValue == 0 && newValue != 0) {
-            keys.push(key);
-        }
-        emit NamedValueChanged(key, oldValue, newValue);
-    }`;
-      } else if (functionType === 'get') {
-        functionCode = `
-    function ${functionName}(string memory key) public view returns (uint256) {
-        return namedValues[key];
-    }`;
-      } else if (functionType === 'toggle') {
-        functionCode = `
-    function ${functionName}() public {
-        uint256 oldValue = value;
-        value = value > 0 ? 0 : 1;
-        emit ValueChanged(oldValue, value, msg.sender);
-    }`;
-      } else if (functionType === 'update') {
-        functionCode = `
-    function ${functionName}(address user, uint256 newValue) public {
-        uint256 oldValue = userValues[user];
-        userValues[user] = newValue;
-        emit UserValueChanged(user, oldValue, newValue);
-    }`;
-      } else if (functionType === 'push') {
-        functionCode = `
-    function ${functionName}(string memory key) public {
-        keys.push(key);
-    }`;
-      } else if (functionType === 'pop') {
-        functionCode = `
-    function ${functionName}() public {
-        require(keys.length > 0, "No keys to remove");
-        keys.pop();
-    }`;
-      } else if (functionType === 'store') {
-        // Mark that we need these utility functions
-        utilityFunctions.add('toString');
-        
-        functionCode = `
-    function ${functionName}(address user, string memory key, uint256 amount) public {
-        namedValues[string(abi.encodePacked(key, toString(user)))] = amount;
-    }`;
-      } else if (functionType === 'retrieve') {
-        functionCode = `
-    function ${functionName}(string memory key) public view returns (uint256) {
-        uint256 total = 0;
-        for (uint i = 0; i < keys.length; i++) {
-            if (keccak256(bytes(keys[i])) == keccak256(bytes(key))) {
-                total += namedValues[keys[i]];
-            }
+      if (value === '$wallet') {
+        if (!walletAddress) {
+          throw new Error(`Constructor argument ${arg.name} of template ${template.name} needs the deploying wallet`);
         }
-        return total;
-    }`;
-      } else if (functionType === 'compare') {
-        functionCode = `
-    function ${functionName}(uint256 a, uint256 b) public pure returns (int8) {
-        if (a > b) return 1;
-        if (a < b) return -1;
-        return 0;
-    }`;
-      } else if (functionType === 'max') {
-        functionCode = `
-    function ${functionName}(uint256 a, uint256 b) public pure returns (uint256) {
-        return a > b ? a : b;
-    }`;
-      } else if (functionType === 'min') {
-        functionCode = `
-    function ${functionName}(uint256 a, uint256 b) public pure returns (uint256) {
-        return a < b ? a : b;
-    }`;
-      } else if (functionType === 'average') {
-        functionCode = `
-    function ${functionName}(uint256 a, uint256 b) public pure returns (uint256) {
-        return (a + b) / 2;
-    }`;
-      } else if (functionType === 'reset') {
-        functionCode = `
-    function ${functionName}() public {
-        uint256 oldValue = value;
-        value = 0;
-        emit ValueChanged(oldValue, 0, msg.sender);
-    }`;
-      } else if (functionType === 'transfer') {
-        // Removing this function as requested
-        functionCode = `
-    function ${functionName}(address to, uint256 amount) public {
-        // Simple state change without ETH transfer
-        namedValues[string(abi.encodePacked("transfer_", toString(to)))] = amount;
-        emit NamedValueChanged("transfer", 0, amount);
-    }`;
-      } else if (functionType === 'swap') {
-        functionCode = `
-    function ${functionName}(string memory key1, string memory key2) public {
-        uint256 temp = namedValues[key1];
-        namedValues[key1] = namedValues[key2];
-        namedValues[key2] = temp;
-    }`;
-      } else {
-        // Default function for any other type
-        functionCode = `
-    function ${functionName}(uint256 a, uint256 b) public pure returns (uint256) {
-        return a + b;
-    }`;
+        return walletAddress;
       }
-      
-      contractSource += functionCode;
+      return value;
+    });
+  }
+
+  // Generate a contract from a template. The default template generates a contract
+  // with many functions for interaction. Generation is driven by a seeded random
+  // source, so the same template, function count and seed reproduce the same source.
+  // proxyKind generates the variant deployed behind a proxy of that kind (see proxy.js).
+  generate(templateName = this.template.name, { functionCount = 100, seed, proxyKind = null } = {}) {
+    const template = this.getTemplate(templateName);
+    if (proxyKind === 'uups' && !template.upgradeable) {
+      throw new Error(`Template ${template.name} does not support UUPS proxies`);
     }
-    
-    // Add utility functions at the end if needed
-    if (utilityFunctions.has('toString')) {
-      contractSource += `
-    // Utility functions
-    function toString(address account) internal pure returns(string memory) {
-        return toString(abi.encodePacked(account));
+    const generationSeed = seed !== undefined && seed !== null ? seed : generateSeed();
+
+    if (template.scalable) {
+      logger.info(`Generating ${template.name} contract with ${functionCount} functions (seed: ${generationSeed})`);
+    } else {
+      logger.info(`Generating ${template.name} contract (seed: ${generationSeed})`);
     }
-    
-    function toString(bytes memory data) internal pure returns(string memory) {
-        bytes memory alphabet = "0123456789abcdef";
-        bytes memory str = new bytes(2 + data.length * 2);
-        str[0] = "0";
-        str[1] = "x";
-        for (uint i = 0; i < data.length; i++) {
-            str[2+i*2] = alphabet[uint(uint8(data[i] >> 4))];
-            str[3+i*2] = alphabet[uint(uint8(data[i] & 0x0f))];
-        }
-        return string(str);
-    }`;
+
+    const options = {
+      contractName: template.contractName,
+      functionCount,
+      proxyKind: template.upgradeable ? proxyKind : null
+    };
+    const source = template.generate({ ...options, random: createRandom(generationSeed) });
+    // The model replays the random draws of the source from the same seed
+    const model = template.generateModel
+      ? template.generateModel({ ...options, random: createRandom(generationSeed) })
+      : null;
+
+    return {
+      template: template.name,
+      contractName: template.contractName,
+      seed: generationSeed,
+      proxyKind,
+      source,
+      sourceHash: sha256(source),
+      model
+    };
+  }
+
+  // Reference model of a deployed contract, from the model spec recorded with it, or
+  // null when its template has no model
+  createReferenceModel(record) {
+    if (!record.template || !record.model || !this.templates.has(record.template)) {
+      return null;
     }
-    
-    // Close the contract
-    contractSource += `
-}`;
+    const template = this.getTemplate(record.template);
+    return template.ReferenceModel ? new template.ReferenceModel(record.model) : null;
+  }
+
+  generateContractSource(functionCount = 100, templateName = this.template.name, seed) {
+    return this.generate(templateName, { functionCount, seed }).source;
+  }
+
+  // Compile a Solidity file from the contracts directory, resolving its imports
+  compileFile(filePath, contractName, contractsDir = 'contracts') {
+    const baseDir = path.resolve(process.cwd(), contractsDir);
+    const fullPath = path.resolve(baseDir, filePath);
+    if (!fs.existsSync(fullPath)) {
+      throw new Error(`Contract source not found: ${fullPath}`);
+    }
+
+    // Source unit names are relative to the contracts directory so relative imports resolve there
+    const sourceName = path.relative(baseDir, fullPath).split(path.sep).join('/');
+    const source = fs.readFileSync(fullPath, 'utf8');
+    logger.info(`Compiling ${contractName} from ${sourceName}`);
+
+    return this.compileContract(source, contractName, {
+      sourceName,
+      importResolver: new ImportResolver(baseDir)
+    });
+  }
+
+  // A cached build is stale when any of its imported files changed on disk
+  _importsUnchanged(cached, importResolver) {
+    if (!importResolver) {
+      return true;
+    }
+
+    return Object.entries(cached.standardJsonInput.sources)
+      .filter(([sourceName]) => sourceName !== cached.sourceName)
+      .every(([sourceName, { content }]) => importResolver.read(sourceName) === content);
+  }
 
-    return contractSource;
+  // Byte sizes of the runtime and creation bytecode of a compile result
+  measureSize(build) {
+    return {
+      runtimeSize: build.deployedBytecode.replace(/^0x/, '').length / 2,
+      initcodeSize: build.bytecode.replace(/^0x/, '').length / 2
+    };
   }
 
-  compileContract(source) {
+  // Compile a single source unit. Sources that import other files need an importResolver
+  // (see contracts/imports.js); the resolved imports become part of the standard-JSON input.
+  compileContract(source, contractName = this.contractName, { sourceName = 'contract.sol', importResolver = null } = {}) {
+    const compilerInfo = {
+      version: this.compiler.getVersion(),
+      settings: this.compiler.getSettings()
+    };
+
+    const cacheKey = this.cache
+      ? this.cache.computeKey(source, `${sourceName}:${contractName}`, compilerInfo.version, compilerInfo.settings)
+      : null;
+    const cached = this.cache ? this.cache.get(cacheKey) : null;
+    if (cached && cached.standardJsonInput && this._importsUnchanged(cached, importResolver)) {
+      logger.info(`Using cached compile output for ${contractName} (${cacheKey.substring(0, 12)})`);
+      return ARTIFACT_FIELDS.reduce((result, field) => {
+        result[field] = cached[field];
+        return result;
+      }, {});
+    }
+
     logger.info('Compiling contract...');
     
     const input = {
       language: 'Solidity',
       sources: {
-        'contract.sol': {
+        [sourceName]: {
           content: source
         }
       },
       settings: {
+        ...this.compiler.getSettings(),
         outputSelection: {
           '*': {
-            '*': ['abi', 'evm.bytecode']
+            '*': [
+              'abi',
+              'metadata',
+              'storageLayout',
+              'evm.bytecode',
+              'evm.deployedBytecode'
+            ]
           }
         }
       }
     };
     
-    const output = JSON.parse(solc.compile(JSON.stringify(input)));
+    const output = this.compiler.compile(input, importResolver ? importResolver.findImports : null);
     
     // Check for errors
     if (output.errors) {
@@ -321,13 +260,46 @@ contract ${this.contractName} {
       }
     }
     
-    const contractOutput = output.contracts['contract.sol'][this.contractName];
+    const contractOutput = output.contracts[sourceName] && output.contracts[sourceName][contractName];
     
-    return {
+    if (!contractOutput) {
+      throw new Error(`Contract ${contractName} not found in compiler output for ${sourceName}`);
+    }
+
+    // Record imported sources so the standard-JSON input is self-contained
+    if (importResolver) {
+      for (const [importName, content] of Object.entries(importResolver.resolved)) {
+        input.sources[importName] = { content };
+      }
+    }
+
+    // Everything needed to reproduce the build and verify it on an explorer
+    const result = {
+      contractName,
+      sourceName,
+      source,
       abi: contractOutput.abi,
-      bytecode: contractOutput.evm.bytecode.object
+      bytecode: contractOutput.evm.bytecode.object,
+      deployedBytecode: contractOutput.evm.deployedBytecode.object,
+      sourceMap: contractOutput.evm.bytecode.sourceMap,
+      deployedSourceMap: contractOutput.evm.deployedBytecode.sourceMap,
+      storageLayout: contractOutput.storageLayout,
+      metadata: contractOutput.metadata,
+      standardJsonInput: input,
+      compiler: compilerInfo
     };
+
+    if (this.cache) {
+      this.cache.set(cacheKey, {
+        sourceHash: sha256(source),
+        ...result
+      });
+    }
+
+    return result;
   }
 }
 
-module.exports = ContractGenerator;
\ No newline at end of file
+module.exports = ContractGenerator;
+module.exports.MAX_RUNTIME_SIZE = MAX_RUNTIME_SIZE;
+module.exports.MAX_INITCODE_SIZE = MAX_INITCODE_SIZE;
\ No newline at end of file
@@ -0,0 +1,41 @@
+const fs = require('fs');
+const path = require('path');
+
+// Resolves Solidity imports for contracts compiled from disk. Import paths are looked up
+// relative to the contracts directory, the project root and node_modules, in that order,
+// so both relative imports and package imports such as @openzeppelin/contracts/... work.
+class ImportResolver {
+  constructor(contractsDir) {
+    this.roots = [
+      contractsDir,
+      process.cwd(),
+      path.join(process.cwd(), 'node_modules')
+    ];
+    // Every source handed to the compiler, keyed by source unit name
+    this.resolved = {};
+    this.findImports = this.findImports.bind(this);
+  }
+
+  read(sourceName) {
+    for (const root of this.roots) {
+      const filePath = path.resolve(root, sourceName);
+      if (fs.existsSync(filePath) && fs.statSync(filePath).isFile()) {
+        return fs.readFileSync(filePath, 'utf8');
+      }
+    }
+    return null;
+  }
+
+  // solc-js import callback
+  findImports(sourceName) {
+    const contents = this.read(sourceName);
+    if (contents === null) {
+      return { error: `File not found in ${this.roots.join(', ')}: ${sourceName}` };
+    }
+
+    this.resolved[sourceName] = contents;
+    return { contents };
+  }
+}
+
+module.exports = ImportResolver;
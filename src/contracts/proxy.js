@@ -0,0 +1,135 @@
+// EIP-1967 proxy contracts and the UUPS upgrade function for upgradeable templates
+
+// bytes32(uint256(keccak256("eip1967.proxy.implementation")) - 1)
+const IMPLEMENTATION_SLOT = '0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc';
+// bytes32(uint256(keccak256("eip1967.proxy.admin")) - 1)
+const ADMIN_SLOT = '0xb53127684a568b3173ae13b9f8a6016e243e63b6e8ee1178d6a717850b5d6103';
+
+// Proxy contract compiled for each proxy kind
+const PROXY_CONTRACTS = {
+  transparent: 'TransparentUpgradeableProxy',
+  uups: 'ERC1967Proxy'
+};
+
+const PROXY_SOURCE_NAME = 'proxy.sol';
+
+// Both proxies refuse implementations without code, so a stray call can't brick them.
+// The transparent proxy only intercepts upgradeToAndCall from the admin and forwards
+// every other admin call, unlike OpenZeppelin's, so the deploying wallet can both
+// administer the proxy and interact with the implementation through it.
+const PROXY_SOURCE = `
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+abstract contract ERC1967Base {
+    bytes32 internal constant IMPLEMENTATION_SLOT = ${IMPLEMENTATION_SLOT};
+    bytes32 internal constant ADMIN_SLOT = ${ADMIN_SLOT};
+
+    event Upgraded(address indexed implementation);
+    event AdminChanged(address previousAdmin, address newAdmin);
+
+    function _implementation() internal view returns (address impl) {
+        assembly {
+            impl := sload(IMPLEMENTATION_SLOT)
+        }
+    }
+
+    function _admin() internal view returns (address adm) {
+        assembly {
+            adm := sload(ADMIN_SLOT)
+        }
+    }
+
+    function _upgradeToAndCall(address newImplementation, bytes memory data) internal {
+        require(newImplementation.code.length > 0, "Implementation is not a contract");
+        assembly {
+            sstore(IMPLEMENTATION_SLOT, newImplementation)
+        }
+        emit Upgraded(newImplementation);
+
+        if (data.length > 0) {
+            (bool success, bytes memory result) = newImplementation.delegatecall(data);
+            if (!success) {
+                assembly {
+                    revert(add(result, 32), mload(result))
+                }
+            }
+        }
+    }
+
+    function _delegate(address impl) internal {
+        assembly {
+            calldatacopy(0, 0, calldatasize())
+            let result := delegatecall(gas(), impl, 0, calldatasize(), 0, 0)
+            returndatacopy(0, 0, returndatasize())
+            switch result
+            case 0 { revert(0, returndatasize()) }
+            default { return(0, returndatasize()) }
+        }
+    }
+}
+
+contract ERC1967Proxy is ERC1967Base {
+    constructor(address implementation, bytes memory data) payable {
+        _upgradeToAndCall(implementation, data);
+    }
+
+    fallback() external payable {
+        _delegate(_implementation());
+    }
+
+    receive() external payable {
+        _delegate(_implementation());
+    }
+}
+
+contract TransparentUpgradeableProxy is ERC1967Base {
+    constructor(address implementation, address admin, bytes memory data) payable {
+        assembly {
+            sstore(ADMIN_SLOT, admin)
+        }
+        emit AdminChanged(address(0), admin);
+        _upgradeToAndCall(implementation, data);
+    }
+
+    fallback() external payable {
+        if (msg.sender == _admin() && msg.sig == bytes4(keccak256("upgradeToAndCall(address,bytes)"))) {
+            (address newImplementation, bytes memory data) = abi.decode(msg.data[4:], (address, bytes));
+            _upgradeToAndCall(newImplementation, data);
+            return;
+        }
+        _delegate(_implementation());
+    }
+
+    receive() external payable {
+        _delegate(_implementation());
+    }
+}`;
+
+// Upgrade entry point included in implementations behind a UUPS proxy. Expects the
+// contract to have an owner state variable.
+const UUPS_UPGRADE_FUNCTION = `
+    event Upgraded(address indexed implementation);
+
+    function upgradeToAndCall(address newImplementation, bytes memory data) public {
+        require(msg.sender == owner, "Only owner can upgrade");
+        require(newImplementation.code.length > 0, "Implementation is not a contract");
+        assembly {
+            sstore(${IMPLEMENTATION_SLOT}, newImplementation)
+        }
+        emit Upgraded(newImplementation);
+
+        if (data.length > 0) {
+            (bool success, ) = newImplementation.delegatecall(data);
+            require(success, "Upgrade call failed");
+        }
+    }`;
+
+module.exports = {
+  IMPLEMENTATION_SLOT,
+  ADMIN_SLOT,
+  PROXY_CONTRACTS,
+  PROXY_SOURCE_NAME,
+  PROXY_SOURCE,
+  UUPS_UPGRADE_FUNCTION
+};
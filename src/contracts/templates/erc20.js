@@ -0,0 +1,89 @@
+// Minimal ERC-20 token with owner-only minting and holder burning
+
+module.exports = {
+  name: 'erc20',
+  description: 'ERC-20 token with mint and burn',
+  contractName: 'SimpleToken',
+  constructorArgs: [
+    { name: 'name', type: 'string', default: 'Seismic Test Token' },
+    { name: 'symbol', type: 'string', default: 'STT' },
+    { name: 'initialSupply', type: 'uint256', default: '1000000000000000000000000' },
+    // Passed in rather than taken from msg.sender, which is the factory under CREATE2
+    { name: 'owner', type: 'address', default: '$wallet' }
+  ],
+
+  generate({ contractName }) {
+    return `
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+contract ${contractName} {
+    string public name;
+    string public symbol;
+    uint8 public constant decimals = 18;
+    uint256 public totalSupply;
+    address public owner;
+
+    mapping(address => uint256) public balanceOf;
+    mapping(address => mapping(address => uint256)) public allowance;
+
+    event Transfer(address indexed from, address indexed to, uint256 value);
+    event Approval(address indexed owner, address indexed spender, uint256 value);
+
+    constructor(string memory _name, string memory _symbol, uint256 initialSupply, address _owner) {
+        name = _name;
+        symbol = _symbol;
+        owner = _owner;
+        _mint(_owner, initialSupply);
+    }
+
+    function transfer(address to, uint256 amount) public returns (bool) {
+        _transfer(msg.sender, to, amount);
+        return true;
+    }
+
+    function approve(address spender, uint256 amount) public returns (bool) {
+        allowance[msg.sender][spender] = amount;
+        emit Approval(msg.sender, spender, amount);
+        return true;
+    }
+
+    function transferFrom(address from, address to, uint256 amount) public returns (bool) {
+        uint256 allowed = allowance[from][msg.sender];
+        require(allowed >= amount, "Insufficient allowance");
+        if (allowed != type(uint256).max) {
+            allowance[from][msg.sender] = allowed - amount;
+        }
+        _transfer(from, to, amount);
+        return true;
+    }
+
+    function mint(address to, uint256 amount) public {
+        require(msg.sender == owner, "Only owner can mint");
+        _mint(to, amount);
+    }
+
+    function burn(uint256 amount) public {
+        require(balanceOf[msg.sender] >= amount, "Burn amount exceeds balance");
+        balanceOf[msg.sender] -= amount;
+        totalSupply -= amount;
+        emit Transfer(msg.sender, address(0), amount);
+    }
+
+    function _transfer(address from, address to, uint256 amount) internal {
+        require(to != address(0), "Transfer to zero address");
+        require(balanceOf[from] >= amount, "Transfer amount exceeds balance");
+        balanceOf[from] -= amount;
+        balanceOf[to] += amount;
+        emit Transfer(from, to, amount);
+    }
+
+    function _mint(address to, uint256 amount) internal {
+        require(to != address(0), "Mint to zero address");
+        totalSupply += amount;
+        balanceOf[to] += amount;
+        emit Transfer(address(0), to, amount);
+    }
+}`;
+  }
+};
@@ -0,0 +1,123 @@
+// Minimal ERC-721 collection with open minting
+
+module.exports = {
+  name: 'erc721',
+  description: 'ERC-721 collection with open mint and burn',
+  contractName: 'SimpleCollection',
+  constructorArgs: [
+    { name: 'name', type: 'string', default: 'Seismic Test Collection' },
+    { name: 'symbol', type: 'string', default: 'STC' }
+  ],
+
+  generate({ contractName }) {
+    return `
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+interface IERC721Receiver {
+    function onERC721Received(address operator, address from, uint256 tokenId, bytes calldata data) external returns (bytes4);
+}
+
+contract ${contractName} {
+    string public name;
+    string public symbol;
+    uint256 public totalSupply;
+    uint256 private nextTokenId = 1;
+
+    mapping(uint256 => address) private owners;
+    mapping(address => uint256) private balances;
+    mapping(uint256 => address) private tokenApprovals;
+    mapping(address => mapping(address => bool)) private operatorApprovals;
+
+    event Transfer(address indexed from, address indexed to, uint256 indexed tokenId);
+    event Approval(address indexed owner, address indexed approved, uint256 indexed tokenId);
+    event ApprovalForAll(address indexed owner, address indexed operator, bool approved);
+
+    constructor(string memory _name, string memory _symbol) {
+        name = _name;
+        symbol = _symbol;
+    }
+
+    function supportsInterface(bytes4 interfaceId) public pure returns (bool) {
+        return interfaceId == 0x80ac58cd || interfaceId == 0x5b5e139f || interfaceId == 0x01ffc9a7;
+    }
+
+    function balanceOf(address holder) public view returns (uint256) {
+        require(holder != address(0), "Zero address");
+        return balances[holder];
+    }
+
+    function ownerOf(uint256 tokenId) public view returns (address) {
+        address holder = owners[tokenId];
+        require(holder != address(0), "Token does not exist");
+        return holder;
+    }
+
+    function approve(address to, uint256 tokenId) public {
+        address holder = ownerOf(tokenId);
+        require(msg.sender == holder || operatorApprovals[holder][msg.sender], "Not authorized");
+        tokenApprovals[tokenId] = to;
+        emit Approval(holder, to, tokenId);
+    }
+
+    function getApproved(uint256 tokenId) public view returns (address) {
+        ownerOf(tokenId);
+        return tokenApprovals[tokenId];
+    }
+
+    function setApprovalForAll(address operator, bool approved) public {
+        operatorApprovals[msg.sender][operator] = approved;
+        emit ApprovalForAll(msg.sender, operator, approved);
+    }
+
+    function isApprovedForAll(address holder, address operator) public view returns (bool) {
+        return operatorApprovals[holder][operator];
+    }
+
+    function transferFrom(address from, address to, uint256 tokenId) public {
+        address holder = ownerOf(tokenId);
+        require(holder == from, "Wrong owner");
+        require(to != address(0), "Transfer to zero address");
+        require(
+            msg.sender == holder || tokenApprovals[tokenId] == msg.sender || operatorApprovals[holder][msg.sender],
+            "Not authorized"
+        );
+        delete tokenApprovals[tokenId];
+        balances[from] -= 1;
+        balances[to] += 1;
+        owners[tokenId] = to;
+        emit Transfer(from, to, tokenId);
+    }
+
+    function safeTransferFrom(address from, address to, uint256 tokenId) public {
+        transferFrom(from, to, tokenId);
+        if (to.code.length > 0) {
+            require(
+                IERC721Receiver(to).onERC721Received(msg.sender, from, tokenId, "") == IERC721Receiver.onERC721Received.selector,
+                "Receiver rejected token"
+            );
+        }
+    }
+
+    function mint(address to) public returns (uint256) {
+        require(to != address(0), "Mint to zero address");
+        uint256 tokenId = nextTokenId++;
+        owners[tokenId] = to;
+        balances[to] += 1;
+        totalSupply += 1;
+        emit Transfer(address(0), to, tokenId);
+        return tokenId;
+    }
+
+    function burn(uint256 tokenId) public {
+        address holder = ownerOf(tokenId);
+        require(msg.sender == holder, "Only owner can burn");
+        delete tokenApprovals[tokenId];
+        delete owners[tokenId];
+        balances[holder] -= 1;
+        totalSupply -= 1;
+        emit Transfer(holder, address(0), tokenId);
+    }
+}`;
+  }
+};
@@ -0,0 +1,14 @@
+const multiFunction = require('./multiFunction');
+const erc20 = require('./erc20');
+const erc721 = require('./erc721');
+const keyValueStore = require('./keyValueStore');
+const vault = require('./vault');
+
+// Built-in templates registered by every ContractGenerator
+module.exports = [
+  multiFunction,
+  erc20,
+  erc721,
+  keyValueStore,
+  vault
+];
@@ -0,0 +1,63 @@
+// Simple string-keyed key/value store with enumerable keys
+
+module.exports = {
+  name: 'keyValueStore',
+  description: 'Enumerable string to uint256 key/value store',
+  contractName: 'KeyValueStore',
+  constructorArgs: [],
+
+  generate({ contractName }) {
+    return `
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+contract ${contractName} {
+    mapping(string => uint256) private values;
+    mapping(string => uint256) private keyIndex;
+    string[] private keys;
+
+    event ValueSet(string key, uint256 oldValue, uint256 newValue);
+    event ValueRemoved(string key, uint256 oldValue);
+
+    function set(string memory key, uint256 newValue) public {
+        if (keyIndex[key] == 0) {
+            keys.push(key);
+            keyIndex[key] = keys.length;
+        }
+        uint256 oldValue = values[key];
+        values[key] = newValue;
+        emit ValueSet(key, oldValue, newValue);
+    }
+
+    function get(string memory key) public view returns (uint256) {
+        return values[key];
+    }
+
+    function has(string memory key) public view returns (bool) {
+        return keyIndex[key] != 0;
+    }
+
+    function remove(string memory key) public {
+        uint256 index = keyIndex[key];
+        require(index != 0, "Key does not exist");
+        string memory lastKey = keys[keys.length - 1];
+        keys[index - 1] = lastKey;
+        keyIndex[lastKey] = index;
+        keys.pop();
+        delete keyIndex[key];
+        uint256 oldValue = values[key];
+        delete values[key];
+        emit ValueRemoved(key, oldValue);
+    }
+
+    function keyCount() public view returns (uint256) {
+        return keys.length;
+    }
+
+    function keyAt(uint256 index) public view returns (string memory) {
+        require(index < keys.length, "Index out of bounds");
+        return keys[index];
+    }
+}`;
+  }
+};
@@ -0,0 +1,534 @@
+// Contract with a configurable number of randomly named functions for interaction
+
+const { UUPS_UPGRADE_FUNCTION } = require('../proxy');
+
+// Function types for diversity (omit 'store' from initial list to control its frequency)
+const functionTypes = [
+  'increment', 'decrement', 'multiply', 'divide', 'power',
+  'add', 'subtract', 'set', 'get', 'toggle', 'update',
+  'push', 'pop', 'shift', 'unshift', 'calculate',
+  'retrieve', 'compare', 'max', 'min', 'average', 'reset',
+  'approve', 'burn', 'mint', 'swap', 'lock'
+];
+
+// Limit complex functions that might use utility functions to avoid duplicates
+const complexFunctionTypes = ['store'];
+// Only allow a small number of complex functions
+const maxComplexFunctions = 3;
+
+// Nouns for function naming
+const nouns = [
+  'Value', 'Counter', 'Number', 'Amount', 'Total', 'Balance',
+  'Score', 'Point', 'Quantity', 'Sum', 'Product', 'Difference',
+  'Data', 'Token', 'Asset', 'Share', 'Unit', 'Record', 'Item',
+  'Element', 'Position', 'State', 'Status', 'Limit', 'Threshold'
+];
+
+// Modifiers for function naming
+const modifiers = [
+  'Max', 'Min', 'Average', 'Current', 'Previous', 'Next',
+  'First', 'Last', 'Primary', 'Secondary', 'Global', 'Local',
+  'User', 'Admin', 'Public', 'Private', 'System', 'Custom',
+  'Temporary', 'Permanent', 'Shared', 'Personal', 'Daily', 'Total'
+];
+
+// Function bodies keyed by function type. Types without an entry fall back to `default`.
+const functionBodies = {
+  increment: (name) => `
+    function ${name}(uint256 amount) public {
+        uint256 oldValue = value;
+        value += amount;
+        emit ValueChanged(oldValue, value, msg.sender);
+    }`,
+  decrement: (name) => `
+    function ${name}(uint256 amount) public {
+        uint256 oldValue = value;
+        require(value >= amount, "Value would be negative");
+        value -= amount;
+        emit ValueChanged(oldValue, value, msg.sender);
+    }`,
+  multiply: (name) => `
+    function ${name}(uint256 factor) public {
+        uint256 oldValue = value;
+        value *= factor;
+        emit ValueChanged(oldValue, value, msg.sender);
+    }`,
+  divide: (name) => `
+    function ${name}(uint256 divisor) public {
+        require(divisor > 0, "Cannot divide by zero");
+        uint256 oldValue = value;
+        value /= divisor;
+        emit ValueChanged(oldValue, value, msg.sender);
+    }`,
+  power: (name) => `
+    function ${name}(uint256 exponent) public {
+        uint256 oldValue = value;
+        uint256 result = 1;
+        uint256 base = value;
+        for (uint i = 0; i < exponent; i++) {
+            result *= base;
+        }
+        value = result;
+        emit ValueChanged(oldValue, value, msg.sender);
+    }`,
+  set: (name) => `
+    function ${name}(string memory key, uint256 newValue) public {
+        uint256 oldValue = namedValues[key];
+        namedValues[key] = newValue;
+        if (oldValue == 0 && newValue != 0) {
+            keys.push(key);
+        }
+        emit NamedValueChanged(key, oldValue, newValue);
+    }`,
+  get: (name) => `
+    function ${name}(string memory key) public view returns (uint256) {
+        return namedValues[key];
+    }`,
+  toggle: (name) => `
+    function ${name}() public {
+        uint256 oldValue = value;
+        value = value > 0 ? 0 : 1;
+        emit ValueChanged(oldValue, value, msg.sender);
+    }`,
+  update: (name) => `
+    function ${name}(address user, uint256 newValue) public {
+        uint256 oldValue = userValues[user];
+        userValues[user] = newValue;
+        emit UserValueChanged(user, oldValue, newValue);
+    }`,
+  push: (name) => `
+    function ${name}(string memory key) public {
+        keys.push(key);
+    }`,
+  pop: (name) => `
+    function ${name}() public {
+        require(keys.length > 0, "No keys to remove");
+        keys.pop();
+    }`,
+  store: (name) => `
+    function ${name}(address user, string memory key, uint256 amount) public {
+        namedValues[string(abi.encodePacked(key, toString(user)))] = amount;
+    }`,
+  retrieve: (name) => `
+    function ${name}(string memory key) public view returns (uint256) {
+        uint256 total = 0;
+        for (uint i = 0; i < keys.length; i++) {
+            if (keccak256(bytes(keys[i])) == keccak256(bytes(key))) {
+                total += namedValues[keys[i]];
+            }
+        }
+        return total;
+    }`,
+  compare: (name) => `
+    function ${name}(uint256 a, uint256 b) public pure returns (int8) {
+        if (a > b) return 1;
+        if (a < b) return -1;
+        return 0;
+    }`,
+  max: (name) => `
+    function ${name}(uint256 a, uint256 b) public pure returns (uint256) {
+        return a > b ? a : b;
+    }`,
+  min: (name) => `
+    function ${name}(uint256 a, uint256 b) public pure returns (uint256) {
+        return a < b ? a : b;
+    }`,
+  average: (name) => `
+    function ${name}(uint256 a, uint256 b) public pure returns (uint256) {
+        return (a + b) / 2;
+    }`,
+  reset: (name) => `
+    function ${name}() public {
+        uint256 oldValue = value;
+        value = 0;
+        emit ValueChanged(oldValue, 0, msg.sender);
+    }`,
+  swap: (name) => `
+    function ${name}(string memory key1, string memory key2) public {
+        uint256 temp = namedValues[key1];
+        namedValues[key1] = namedValues[key2];
+        namedValues[key2] = temp;
+    }`,
+  default: (name) => `
+    function ${name}(uint256 a, uint256 b) public pure returns (uint256) {
+        return a + b;
+    }`
+};
+
+// Utility functions required by some function types
+const utilitySources = {
+  toString: `
+    // Utility functions
+    function toString(address account) internal pure returns(string memory) {
+        return toString(abi.encodePacked(account));
+    }
+
+    function toString(bytes memory data) internal pure returns(string memory) {
+        bytes memory alphabet = "0123456789abcdef";
+        bytes memory str = new bytes(2 + data.length * 2);
+        str[0] = "0";
+        str[1] = "x";
+        for (uint i = 0; i < data.length; i++) {
+            str[2+i*2] = alphabet[uint(uint8(data[i] >> 4))];
+            str[3+i*2] = alphabet[uint(uint8(data[i] & 0x0f))];
+        }
+        return string(str);
+    }`
+};
+
+// Function types that pull in a utility function
+const functionUtilities = {
+  store: 'toString'
+};
+
+// Name and type of each generated function, in source order. Draws from random in the
+// same order for the source and the reference model, so both describe the same contract.
+function planFunctions(functionCount, random) {
+  const usedFunctionNames = new Set();
+  const functions = [];
+
+  // Track complex function count
+  let complexFunctionCount = 0;
+
+  for (let i = 0; i < functionCount; i++) {
+    // Decide whether to use a complex function (if we haven't used too many)
+    let functionType;
+    if (complexFunctionCount < maxComplexFunctions && random() < 0.1) {
+      // 10% chance of using complex function if we haven't reached the limit
+      functionType = complexFunctionTypes[Math.floor(random() * complexFunctionTypes.length)];
+      complexFunctionCount++;
+    } else {
+      // Regular function type
+      functionType = functionTypes[Math.floor(random() * functionTypes.length)];
+    }
+
+    const noun = nouns[Math.floor(random() * nouns.length)];
+    const modifier = modifiers[Math.floor(random() * modifiers.length)];
+
+    let functionName = `${functionType}${modifier}${noun}`;
+
+    // Ensure no duplicate function names
+    if (usedFunctionNames.has(functionName)) {
+      functionName = `${functionName}${i}`;
+    }
+    usedFunctionNames.add(functionName);
+    functions.push({ name: functionName, type: functionType });
+  }
+
+  return functions;
+}
+
+const MAX_UINT256 = (1n << 256n) - 1n;
+
+// Revert reason of checked arithmetic, as utils/errors decodes it
+const OVERFLOW = 'panic: arithmetic overflow or underflow';
+
+// Function types that read or write value
+const VALUE_TYPES = ['getValue', 'setValue', 'increment', 'decrement', 'multiply', 'divide', 'power', 'toggle', 'reset'];
+
+// JavaScript model of a generated contract's state, for differential checks of the
+// chain's execution (see InteractionService). Built from the spec generateModel returns.
+// State the model hasn't seen yet is unknown until learned from the chain, so contracts
+// interacted with before can be checked too. The keys array can't be read back, so only
+// a lower bound of its length is kept until a pop reverts on an empty array.
+class ReferenceModel {
+  constructor(spec) {
+    this.functions = {
+      getValue: 'getValue',
+      setValue: 'setValue',
+      ...spec.functions
+    };
+    // Named values are read back through a generated get function, if there is one
+    this.getter = Object.keys(spec.functions).find(name => spec.functions[name] === 'get') || null;
+    this.state = { value: null, namedValues: {}, keyCount: 0, keysKnown: false };
+  }
+
+  snapshot() {
+    return structuredClone(this.state);
+  }
+
+  restore(state) {
+    this.state = state;
+  }
+
+  // Whether the model knows what a function does
+  models(functionName) {
+    return Object.prototype.hasOwnProperty.call(this.functions, functionName) && this.functions[functionName] !== 'upgrade';
+  }
+
+  _named(key) {
+    return Object.prototype.hasOwnProperty.call(this.state.namedValues, key) ? this.state.namedValues[key] : null;
+  }
+
+  // Named values a call reads or writes
+  _namedKeys(functionName, args) {
+    switch (this.functions[functionName]) {
+      case 'set':
+        return [args[0]];
+      case 'swap':
+        return [args[0], args[1]];
+      case 'store':
+        // namedValues[string(abi.encodePacked(key, toString(user)))]
+        return [`${args[1]}${args[0].toLowerCase()}`];
+      default:
+        return [];
+    }
+  }
+
+  // The state a call touches, as view calls that read it: { label, function, args,
+  // expected }, with expected null while the model doesn't know it. Unknown state is
+  // learned from the chain before the call, and all of it is compared after the call.
+  observations(functionName, args) {
+    const observations = [];
+    if (VALUE_TYPES.includes(this.functions[functionName])) {
+      observations.push({ label: 'value', function: 'getValue', args: [], expected: this.state.value });
+    }
+    if (this.getter) {
+      for (const key of this._namedKeys(functionName, args)) {
+        observations.push({ label: `namedValues[${JSON.stringify(key)}]`, function: this.getter, args: [key], expected: this._named(key) });
+      }
+    }
+    return observations;
+  }
+
+  // Record state read from the chain
+  learn(observation, actual) {
+    if (observation.function === 'getValue') {
+      this.state.value = BigInt(actual);
+    } else {
+      this.state.namedValues[observation.args[0]] = BigInt(actual);
+    }
+  }
+
+  // Record what a revert the model couldn't predict tells about the state
+  learnRevert(functionName, reason) {
+    if (this.functions[functionName] === 'pop' && reason === 'No keys to remove') {
+      Object.assign(this.state, { keyCount: 0, keysKnown: true });
+    }
+  }
+
+  // Result of a view or pure function: { returns } or { revert }, or null when it depends
+  // on state the model doesn't know
+  call(functionName, args) {
+    const type = this.functions[functionName];
+    if (type === 'getValue') {
+      return this.state.value !== null ? { returns: this.state.value } : null;
+    }
+    if (type === 'get') {
+      const named = this._named(args[0]);
+      return named !== null ? { returns: named } : null;
+    }
+    if (!['compare', 'max', 'min', 'average', 'default'].includes(type)) {
+      // retrieve sums over the keys array, which the model doesn't hold
+      return null;
+    }
+
+    const [a, b] = args.map(arg => BigInt(arg));
+    switch (type) {
+      case 'compare':
+        return { returns: a > b ? 1n : a < b ? -1n : 0n };
+      case 'max':
+        return { returns: a > b ? a : b };
+      case 'min':
+        return { returns: a < b ? a : b };
+      case 'average':
+        return a + b > MAX_UINT256 ? { revert: OVERFLOW } : { returns: (a + b) / 2n };
+      default:
+        return a + b > MAX_UINT256 ? { revert: OVERFLOW } : { returns: a + b };
+    }
+  }
+
+  // Apply a call to the model. Returns { revert } with the reason the contract reverts
+  // with, leaving the state unchanged, or { revert: null } when the call succeeds. With
+  // uncertain set the model can't tell whether the call reverts.
+  apply(functionName, args) {
+    const state = this.state;
+    const value = state.value;
+    const setValue = next => {
+      if (next !== null && next > MAX_UINT256) {
+        return { revert: OVERFLOW };
+      }
+      state.value = next;
+      return { revert: null };
+    };
+    // Value-changing functions take a single uint256, as a number or a decimal string
+    const amount = args.length === 1 && /^\d+$/.test(String(args[0])) ? BigInt(args[0]) : null;
+
+    switch (this.functions[functionName]) {
+      case 'setValue':
+        return setValue(amount);
+      case 'increment':
+        return setValue(value !== null ? value + amount : null);
+      case 'decrement':
+        if (value !== null && value < amount) {
+          return { revert: 'Value would be negative' };
+        }
+        return setValue(value !== null ? value - amount : null);
+      case 'multiply':
+        return setValue(value !== null ? value * amount : null);
+      case 'divide':
+        if (amount === 0n) {
+          return { revert: 'Cannot divide by zero' };
+        }
+        return setValue(value !== null ? value / amount : null);
+      case 'power': {
+        if (value === null || value <= 1n) {
+          return setValue(value !== null && amount === 0n ? 1n : value);
+        }
+        // The contract multiplies step by step and reverts at the first step that overflows
+        let result = 1n;
+        for (let i = 0n; i < amount && result <= MAX_UINT256; i++) {
+          result *= value;
+        }
+        return setValue(result);
+      }
+      case 'toggle':
+        return setValue(value !== null ? (value > 0n ? 0n : 1n) : null);
+      case 'reset':
+        return setValue(0n);
+      case 'set': {
+        const previous = this._named(args[0]);
+        const next = BigInt(args[1]);
+        state.namedValues[args[0]] = next;
+        if (previous === null) {
+          // Whether the key was pushed to the keys array is unknown
+          state.keysKnown = false;
+        } else if (previous === 0n && next !== 0n) {
+          state.keyCount++;
+        }
+        return { revert: null };
+      }
+      case 'push':
+        state.keyCount++;
+        return { revert: null };
+      case 'pop':
+        if (state.keyCount === 0) {
+          return state.keysKnown ? { revert: 'No keys to remove' } : { revert: null, uncertain: true };
+        }
+        state.keyCount--;
+        return { revert: null };
+      case 'store':
+        state.namedValues[this._namedKeys(functionName, args)[0]] = BigInt(args[2]);
+        return { revert: null };
+      case 'swap': {
+        const [first, second] = [this._named(args[0]), this._named(args[1])];
+        for (const [key, next] of [[args[0], second], [args[1], first]]) {
+          if (next === null) {
+            delete state.namedValues[key];
+          } else {
+            state.namedValues[key] = next;
+          }
+        }
+        return { revert: null };
+      }
+      default:
+        // update writes userValues, which can't be read back; the rest don't write state
+        return { revert: null };
+    }
+  }
+}
+
+module.exports = {
+  name: 'multiFunction',
+  description: 'Value/counter contract with a configurable number of generated functions',
+  contractName: 'MultiFunction',
+  // functionCount controls the size of the generated contract
+  scalable: true,
+  constructorArgs: [
+    { name: 'initialValue', type: 'uint256', default: 100 },
+    // Passed in rather than taken from msg.sender, which is the factory under CREATE2
+    { name: 'owner', type: 'address', default: '$wallet' }
+  ],
+  // Can be deployed behind a proxy, initialized with the constructor arguments
+  upgradeable: true,
+  initializer: 'initialize',
+
+  // random is a seeded Math.random replacement, so the same seed yields the same source.
+  // proxyKind ('transparent' or 'uups') adds the initializer and, for UUPS, the upgrade function.
+  generate({ contractName, functionCount = 100, random, proxyKind }) {
+    // Track which utility functions we need to include
+    const utilityFunctions = new Set();
+
+    let contractSource = `
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+contract ${contractName} {
+    uint256 private value;
+    mapping(string => uint256) private namedValues;
+    mapping(address => uint256) private userValues;
+    string[] private keys;
+    address public owner;
+
+    event ValueChanged(uint256 oldValue, uint256 newValue, address indexed changer);
+    event NamedValueChanged(string key, uint256 oldValue, uint256 newValue);
+    event UserValueChanged(address user, uint256 oldValue, uint256 newValue);
+
+    constructor(uint256 initialValue, address _owner) {
+        value = initialValue;
+        owner = _owner;
+    }
+
+    function getValue() public view returns (uint256) {
+        return value;
+    }
+
+    function setValue(uint256 newValue) public {
+        uint256 oldValue = value;
+        value = newValue;
+        emit ValueChanged(oldValue, newValue, msg.sender);
+    }
+    `;
+
+    if (proxyKind) {
+      // The constructor only initializes the implementation itself, which also stops
+      // anyone from initializing it directly
+      contractSource += `
+    function initialize(uint256 initialValue, address _owner) public {
+        require(owner == address(0), "Already initialized");
+        value = initialValue;
+        owner = _owner;
+    }
+    `;
+    }
+    if (proxyKind === 'uups') {
+      contractSource += UUPS_UPGRADE_FUNCTION;
+    }
+
+    for (const { name: functionName, type: functionType } of planFunctions(functionCount, random)) {
+      if (functionUtilities[functionType]) {
+        utilityFunctions.add(functionUtilities[functionType]);
+      }
+
+      const body = functionBodies[functionType] || functionBodies.default;
+      contractSource += body(functionName);
+    }
+
+    // Add utility functions at the end if needed
+    for (const utility of utilityFunctions) {
+      contractSource += utilitySources[utility];
+    }
+
+    // Close the contract
+    contractSource += `
+}`;
+
+    return contractSource;
+  },
+
+  // Spec of the reference model for the contract generate() returns with the same
+  // options: the type of each generated function
+  generateModel({ functionCount = 100, random, proxyKind }) {
+    const functions = {};
+    for (const { name, type } of planFunctions(functionCount, random)) {
+      // Types without a body of their own compile to the default function
+      functions[name] = functionBodies[type] ? type : 'default';
+    }
+    if (proxyKind === 'uups') {
+      functions.upgradeToAndCall = 'upgrade';
+    }
+    return { functions };
+  },
+
+  ReferenceModel
+};
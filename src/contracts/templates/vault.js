@@ -0,0 +1,94 @@
+// Ether vault with owner/operator roles, a per-call withdraw limit and pausing
+
+module.exports = {
+  name: 'vault',
+  description: 'Access-controlled ether vault with operators and pausing',
+  contractName: 'AccessVault',
+  constructorArgs: [
+    { name: 'withdrawLimit', type: 'uint256', default: '1000000000000000000' },
+    // Passed in rather than taken from msg.sender, which is the factory under CREATE2
+    { name: 'owner', type: 'address', default: '$wallet' }
+  ],
+
+  generate({ contractName }) {
+    return `
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+contract ${contractName} {
+    address public owner;
+    uint256 public withdrawLimit;
+    bool public paused;
+
+    mapping(address => bool) public operators;
+    mapping(address => uint256) public deposits;
+
+    event Deposited(address indexed account, uint256 amount);
+    event Withdrawn(address indexed account, uint256 amount);
+    event OperatorChanged(address indexed account, bool enabled);
+    event OwnershipTransferred(address indexed previousOwner, address indexed newOwner);
+    event PausedChanged(bool paused);
+    event WithdrawLimitChanged(uint256 oldLimit, uint256 newLimit);
+
+    modifier onlyOwner() {
+        require(msg.sender == owner, "Only owner");
+        _;
+    }
+
+    modifier onlyOperator() {
+        require(msg.sender == owner || operators[msg.sender], "Only operator");
+        _;
+    }
+
+    modifier whenNotPaused() {
+        require(!paused, "Vault is paused");
+        _;
+    }
+
+    constructor(uint256 _withdrawLimit, address _owner) {
+        owner = _owner;
+        withdrawLimit = _withdrawLimit;
+    }
+
+    function deposit() public payable whenNotPaused {
+        deposits[msg.sender] += msg.value;
+        emit Deposited(msg.sender, msg.value);
+    }
+
+    function withdraw(uint256 amount) public whenNotPaused {
+        require(amount <= withdrawLimit, "Amount exceeds withdraw limit");
+        require(deposits[msg.sender] >= amount, "Insufficient deposit");
+        deposits[msg.sender] -= amount;
+        (bool sent, ) = payable(msg.sender).call{value: amount}("");
+        require(sent, "Withdraw failed");
+        emit Withdrawn(msg.sender, amount);
+    }
+
+    function setOperator(address account, bool enabled) public onlyOwner {
+        operators[account] = enabled;
+        emit OperatorChanged(account, enabled);
+    }
+
+    function setWithdrawLimit(uint256 newLimit) public onlyOperator {
+        uint256 oldLimit = withdrawLimit;
+        withdrawLimit = newLimit;
+        emit WithdrawLimitChanged(oldLimit, newLimit);
+    }
+
+    function setPaused(bool _paused) public onlyOperator {
+        paused = _paused;
+        emit PausedChanged(_paused);
+    }
+
+    function transferOwnership(address newOwner) public onlyOwner {
+        require(newOwner != address(0), "New owner is zero address");
+        emit OwnershipTransferred(owner, newOwner);
+        owner = newOwner;
+    }
+
+    function totalHeld() public view returns (uint256) {
+        return address(this).balance;
+    }
+}`;
+  }
+};
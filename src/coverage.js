@@ -0,0 +1,86 @@
+const logger = require('./utils/logger');
+const { parseArgs } = require('./utils/args');
+const CoverageStore = require('./services/coverage');
+const { findGaps } = CoverageStore;
+
+// Report the function coverage kept in interactions/coverage.json:
+// npm run coverage -- [--address 0x..] [--template multiFunction] [--all] [--json]
+// Lists, per contract, the functions that never succeeded (--all lists every function),
+// then how many functions of each generated function type succeeded across contracts.
+// --json writes the coverage as JSON to stdout, bypassing the logger, like npm run deployments.
+
+function describeFunction(coverage) {
+  if (coverage.calls === 0) {
+    return coverage.simulatedReverts > 0
+      ? `never called, ${coverage.simulatedReverts} simulations reverted (last: ${coverage.lastRevert})`
+      : 'never called';
+  }
+  const parts = [`${coverage.calls} calls`, `${coverage.successes} succeeded`];
+  if (coverage.reverts > 0) {
+    parts.push(`${coverage.reverts} reverted (last: ${coverage.lastRevert})`);
+  }
+  if (coverage.failures > 0) {
+    parts.push(`${coverage.failures} failed`);
+  }
+  return parts.join(', ');
+}
+
+// Functions and ones that succeeded per function type of the generated contracts
+function summarizeTypes(entries) {
+  const types = {};
+  for (const entry of entries) {
+    for (const coverage of Object.values(entry.functions)) {
+      if (!coverage.type) {
+        continue;
+      }
+      types[coverage.type] = types[coverage.type] || { functions: 0, succeeded: 0 };
+      types[coverage.type].functions++;
+      if (coverage.successes > 0) {
+        types[coverage.type].succeeded++;
+      }
+    }
+  }
+  return types;
+}
+
+async function main() {
+  const { flags } = parseArgs();
+
+  const store = new CoverageStore();
+  const entries = store.all().filter(entry =>
+    (!flags.address || entry.address.toLowerCase() === String(flags.address).toLowerCase()) &&
+    (!flags.template || entry.template === flags.template)
+  );
+  const types = summarizeTypes(entries);
+
+  if (flags.json) {
+    process.stdout.write(`${JSON.stringify({ contracts: entries, types }, null, 2)}\n`);
+    return;
+  }
+
+  logger.info(`Coverage of ${entries.length} contracts`);
+  for (const entry of entries) {
+    const functions = Object.entries(entry.functions);
+    const gaps = findGaps(entry);
+    logger.info(`\n${entry.address}  ${entry.template || entry.name || 'external'}  ${functions.length - gaps.length}/${functions.length} functions succeeded`);
+    for (const [signature, coverage] of flags.all ? functions : gaps) {
+      logger.info(`  ${signature}: ${describeFunction(coverage)}`);
+    }
+  }
+
+  if (Object.keys(types).length > 0) {
+    logger.info('\nGenerated function types:');
+    for (const [type, summary] of Object.entries(types).sort((a, b) => a[0].localeCompare(b[0]))) {
+      logger.info(`  ${type}: ${summary.succeeded}/${summary.functions} functions succeeded${summary.succeeded === 0 ? '  NOT SEEN WORKING' : ''}`);
+    }
+  }
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    logger.error(`Unhandled error: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { main };
@@ -0,0 +1,61 @@
+const { ethers } = require('ethers');
+const configLoader = require('./utils/config');
+const logger = require('./utils/logger');
+const { parseArgs } = require('./utils/args');
+const DeployerService = require('./services/deployer');
+
+// List recorded deployments, optionally filtered:
+// npm run deployments -- [--address 0x..] [--wallet 0x..] [--chain 5124] [--template erc20] [--tag name] [--json]
+// --json writes the matching records as JSON to stdout, bypassing the logger, for scripts.
+// --check re-checks deployment blocks for reorgs (marking dropped deployments orphaned),
+// then calls getCode for deployments on the configured network and marks dead ones; add
+// --prune to remove them instead.
+async function main() {
+  const { flags } = parseArgs();
+
+  const config = configLoader.loadConfigFile();
+  const deployer = new DeployerService(config.deploy);
+  deployer.loadPreviousDeployments();
+
+  if (flags.check || flags.prune) {
+    const provider = new ethers.JsonRpcProvider(config.network.rpcUrl);
+    await deployer.useNetwork(provider, config.network.chainId);
+    const reorgCheck = (config.transactions && config.transactions.reorgCheck) || {};
+    await deployer.checkReorgs(provider, { depth: reorgCheck.depth || 0 });
+    await deployer.checkLiveness(provider, { prune: flags.prune === true });
+  }
+
+  let deployments;
+  if (flags.address) {
+    const deployment = deployer.getDeployment(flags.address);
+    deployments = deployment ? [deployment] : [];
+  } else {
+    deployments = deployer.findDeployments({
+      wallet: flags.wallet,
+      chainId: flags.chain,
+      template: flags.template,
+      tag: flags.tag
+    });
+  }
+
+  if (flags.json) {
+    process.stdout.write(`${JSON.stringify(deployments, null, 2)}\n`);
+    return;
+  }
+
+  logger.info(`${deployments.length} matching deployments`);
+  for (const deployment of deployments) {
+    const tags = deployment.tags.length > 0 ? ` [${deployment.tags.join(', ')}]` : '';
+    const status = ['dead', 'orphaned'].includes(deployment.status) ? `  ${deployment.status.toUpperCase()}` : '';
+    logger.info(`${deployment.address}  chain ${deployment.chainId === null ? '?' : deployment.chainId}  ${deployment.template || deployment.sourceFile}  wallet ${deployment.wallet}  ${deployment.deployedAt}${tags}${status}`);
+  }
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    logger.error(`Unhandled error: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { main };
@@ -4,15 +4,28 @@ const Wallet = require('./models/wallet');
 const FaucetService = require('./services/faucet');
 const DeployerService = require('./services/deployer');
 const InteractionService = require('./services/interaction');
+const DryRunPlanner = require('./services/dryRun');
+const RunJournal = require('./services/journal');
 const { interactWithExistingContracts } = require('./interact-only');
+const { parseArgs } = require('./utils/args');
+const { formatEventCounts } = require('./utils/events');
 
 async function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
-async function processWallet(wallet, config, services) {
+// With options.dryRun the wallet's run is only planned and reported (see dryRunWallet).
+// With options.journal (a RunJournal) each finished stage is recorded, and stages the
+// journal already has finished are skipped when a run is resumed.
+async function processWallet(wallet, config, services, options = {}) {
+  if (options.dryRun) {
+    return dryRunWallet(wallet, config, services);
+  }
+
+  const journal = options.journal || null;
   try {
     const address = wallet.getAddress();
+    const getStage = key => journal ? journal.getStage(address, key) : null;
     logger.info(`\n${'='.repeat(50)}`);
     logger.info(`Processing wallet: ${address}`);
     logger.info(`${'='.repeat(50)}`);
@@ -21,8 +34,9 @@ async function processWallet(wallet, config, services) {
     const initialBalance = await wallet.getBalance();
     logger.info(`Initial balance: ${initialBalance} ETH`);
     
-    // 2. Claim from faucet if balance is low
-    if (parseFloat(initialBalance) < config.minBalance) {
+    // 2. Claim from faucet if balance is low, once per run
+    const faucetStage = getStage('faucet');
+    if (parseFloat(initialBalance) < config.minBalance && !(faucetStage && faucetStage.status === 'done')) {
       logger.info(`Balance too low (${initialBalance} < ${config.minBalance}), claiming from faucet...`);
       
       // Setup default region if not specified in config
@@ -48,6 +62,9 @@ async function processWallet(wallet, config, services) {
             const newBalance = await wallet.getBalance();
             logger.info(`New balance after faucet claim: ${newBalance} ETH`);
             faucetSuccess = true;
+            if (journal) {
+              journal.completeStage(address, 'faucet');
+            }
           } else {
             retryCount++;
             if (retryCount < maxFaucetRetries) {
@@ -99,12 +116,28 @@ async function processWallet(wallet, config, services) {
     
     // 3. Deploy contracts if needed and not in interact-only mode
     if (deployedContracts.length === 0 && !config.interaction.onlyExisting) {
-      const deployCount = config.deploy.count || 1;
+      const deployCount = config.deploy.count !== undefined ? config.deploy.count : 1;
       
       for (let i = 0; i < deployCount; i++) {
+        const stageKey = `deploy:${i}`;
+        const stage = getStage(stageKey);
+        if (stage && stage.status !== 'started') {
+          const previous = stage.address ? services.deployer.getDeployment(stage.address) : null;
+          if (previous) {
+            deployedContracts.push(previous);
+          }
+          logger.info(`Contract ${i + 1}/${deployCount} ${stage.status === 'done' ? `already deployed at ${stage.address}` : 'failed'} earlier in this run`);
+          continue;
+        }
+        
         logger.info(`\n--- Deploying contract ${i + 1}/${deployCount} ---`);
-        let functionCount = config.deploy.functionCount || 100;
-        const initialValue = config.deploy.initialValue || 100;
+        const functionCount = config.deploy.functionCount || 100;
+        // Keep the same seed across retries so a retried contract stays reproducible,
+        // and across a resume so the deployment transaction sent before it is reused
+        const seed = stage ? stage.seed : services.deployer.defaultSeed();
+        if (journal) {
+          journal.startStage(address, stageKey, { seed });
+        }
         
         // Reset retry counter for each contract
         let retryCount = 0;
@@ -113,27 +146,30 @@ async function processWallet(wallet, config, services) {
         
         while (!deploySuccess && retryCount < maxRetries) {
           try {
-            // Reduce function count by 20% on each retry to reduce complexity
-            if (retryCount > 0) {
-              functionCount = Math.floor(functionCount * 0.8);
-              logger.info(`Retrying with reduced function count: ${functionCount}`);
-            }
-            
-            const deployedContract = await services.deployer.deployContract(
-              wallet, 
+            // The deployer checks size and gas limits up front and shrinks oversized
+            // contracts itself, so retries only cover transient failures
+            const deployedContract = await services.deployer.deployContract(wallet, {
+              template: config.deploy.template,
               functionCount,
-              initialValue
-            );
+              seed,
+              index: i
+            });
             
             deployedContracts.push(deployedContract);
             logger.info(`Contract deployed successfully at ${deployedContract.address}`);
             deploySuccess = true;
+            if (journal) {
+              journal.completeStage(address, stageKey, { address: deployedContract.address });
+            }
           } catch (error) {
             retryCount++;
             if (retryCount < maxRetries) {
               logger.warn(`Failed deployment attempt ${retryCount}/${maxRetries}: ${error.message}`);
             } else {
               logger.error(`Failed to deploy contract ${i + 1} after ${maxRetries} attempts: ${error.message}`);
+              if (journal) {
+                journal.completeStage(address, stageKey, { status: 'failed', error: error.message });
+              }
             }
           }
         }
@@ -149,6 +185,43 @@ async function processWallet(wallet, config, services) {
           await sleep(deployDelay);
         }
       }
+      
+      // Deploy user contracts from the contracts directory
+      const userContracts = config.deploy.userContracts || [];
+      for (const spec of userContracts) {
+        const stageKey = `user:${spec.file}:${spec.contract || ''}`;
+        const stage = getStage(stageKey);
+        if (stage && stage.status !== 'started') {
+          const previous = stage.address ? services.deployer.getDeployment(stage.address) : null;
+          if (previous) {
+            deployedContracts.push(previous);
+          }
+          logger.info(`User contract ${spec.contract || spec.file} ${stage.status === 'done' ? `already deployed at ${stage.address}` : 'failed'} earlier in this run`);
+          continue;
+        }
+        
+        logger.info(`\n--- Deploying user contract ${spec.contract || spec.file} ---`);
+        if (journal) {
+          journal.startStage(address, stageKey);
+        }
+        
+        try {
+          const deployedContract = await services.deployer.deployUserContract(wallet, spec);
+          deployedContracts.push(deployedContract);
+          logger.info(`Contract deployed successfully at ${deployedContract.address}`);
+          if (journal) {
+            journal.completeStage(address, stageKey, { address: deployedContract.address });
+          }
+        } catch (error) {
+          logger.error(`Failed to deploy user contract ${spec.file}: ${error.message}`);
+          if (journal) {
+            journal.completeStage(address, stageKey, { status: 'failed', error: error.message });
+          }
+        }
+        
+        const deployDelay = config.deploy.delay || 5000;
+        await sleep(deployDelay);
+      }
     }
     
     // 4. Interact with deployed contracts
@@ -156,19 +229,59 @@ async function processWallet(wallet, config, services) {
       logger.warn('No contracts were deployed successfully. Skipping interaction step.');
     } else {
       for (const contract of deployedContracts) {
+        const stageKey = `interact:${contract.address.toLowerCase()}`;
+        const stage = getStage(stageKey);
+        if (stage && stage.status !== 'started') {
+          logger.info(`Interactions with ${contract.address} finished earlier in this run`);
+          continue;
+        }
+        
         logger.info(`\n--- Interacting with contract: ${contract.address} ---`);
-        const interactionCount = config.interaction.count || 10;
+        const interactionCount = services.interaction.getInteractionCount(config.interaction.count || 10);
+        // Interactions completed before a resume count towards the total
+        const alreadyCompleted = stage ? stage.completed || 0 : 0;
+        if (alreadyCompleted >= interactionCount) {
+          journal.completeStage(address, stageKey);
+          logger.info(`All ${interactionCount} interactions with ${contract.address} completed before the resume`);
+          continue;
+        }
+        let journalHooks = {};
+        if (journal) {
+          journal.startStage(address, stageKey, { total: interactionCount, completed: alreadyCompleted });
+          journalHooks = {
+            onSent: (interactionId, response) => journal.tagPending(address, response.hash, { interactionId }),
+            onProgress: () => journal.updateStage(address, stageKey, { completed: getStage(stageKey).completed + 1 })
+          };
+        }
         
         try {
+          if (alreadyCompleted > 0) {
+            logger.info(`${alreadyCompleted}/${interactionCount} interactions completed before the resume`);
+          }
           const interactionResults = await services.interaction.interact(
             wallet, 
             contract, 
-            interactionCount
+            interactionCount - alreadyCompleted,
+            journalHooks
           );
           
           logger.info(`Completed ${interactionResults.successful}/${interactionResults.total} interactions`);
+          logger.info(`Events emitted: ${formatEventCounts(interactionResults.eventCounts)}`);
+          logger.info(`Function coverage: ${interactionResults.coverage.succeeded}/${interactionResults.coverage.functions} functions succeeded at least once (npm run coverage for the gaps)`);
+          if (interactionResults.divergences !== undefined) {
+            logger.info(`Reference model divergences: ${interactionResults.divergences}`);
+          }
+          if (interactionResults.reads) {
+            logger.info(`Read-only calls: ${interactionResults.reads.total}, ${interactionResults.reads.mismatches} mismatches, ${interactionResults.reads.failed} failed`);
+          }
+          if (journal) {
+            journal.completeStage(address, stageKey);
+          }
         } catch (error) {
           logger.error(`Failed to perform interactions with contract ${contract.address}: ${error.message}`);
+          if (journal) {
+            journal.completeStage(address, stageKey, { status: 'failed', error: error.message });
+          }
         }
         
         // Wait between contract interactions
@@ -182,17 +295,101 @@ async function processWallet(wallet, config, services) {
     const finalBalance = await wallet.getBalance();
     logger.info(`\nFinal balance: ${finalBalance} ETH`);
     logger.info(`Wallet ${address} processing completed`);
+    if (journal) {
+      journal.completeWallet(address);
+    }
     
   } catch (error) {
     logger.error(`Error processing wallet ${wallet.getAddress()}: ${error.message}`);
   }
 }
 
+// Plan what processWallet would deploy and call for a wallet and report the expected
+// gas, cost and reverts. Nothing is sent and the faucet is not claimed.
+async function dryRunWallet(wallet, config, services) {
+  try {
+    const address = wallet.getAddress();
+    const planner = new DryRunPlanner(wallet);
+    logger.info(`\nPlanning dry run for wallet: ${address}`);
+    
+    const balance = await wallet.getBalance();
+    if (parseFloat(balance) < config.minBalance) {
+      logger.info(`Balance too low (${balance} < ${config.minBalance}), a real run would claim from the faucet first`);
+    }
+    
+    let contracts = [];
+    if (config.deploy.skipDeploy || config.interaction.onlyExisting) {
+      contracts = services.deployer.getDeployedContractsByWallet(address);
+      if (contracts.length === 0 && config.interaction.onlyExisting) {
+        logger.warn('No existing contracts found for this wallet. Nothing to plan in interact-only mode.');
+      }
+    }
+    
+    if (contracts.length === 0 && !config.interaction.onlyExisting) {
+      const deployCount = config.deploy.count !== undefined ? config.deploy.count : 1;
+      for (let i = 0; i < deployCount; i++) {
+        const planned = await services.deployer.planContract(wallet, planner, {
+          template: config.deploy.template,
+          functionCount: config.deploy.functionCount || 100,
+          seed: services.deployer.defaultSeed(),
+          index: i
+        });
+        if (planned) {
+          contracts.push(planned);
+        }
+      }
+      
+      for (const spec of config.deploy.userContracts || []) {
+        const planned = await services.deployer.planUserContract(wallet, planner, spec);
+        if (planned) {
+          contracts.push(planned);
+        }
+      }
+    }
+    
+    const interactionCount = config.interaction.count || 10;
+    for (const contract of contracts) {
+      await planner.addInteractions(services.interaction, contract, interactionCount);
+    }
+    
+    return await planner.report();
+  } catch (error) {
+    logger.error(`Dry run failed for wallet ${wallet.getAddress()}: ${error.message}`);
+  }
+}
+
 async function main() {
   try {
     logger.info('Starting Seismic Auto Deploy and Interact');
     logger.info('=======================================');
     
+    // --dry-run plans and reports each wallet's run without sending transactions.
+    // --resume <runId> continues a run that stopped partway through from its journal.
+    const { flags } = parseArgs();
+    const dryRun = flags['dry-run'] === true;
+    if (dryRun) {
+      logger.info('Dry run: estimating gas and cost, nothing will be sent');
+    }
+    if (dryRun && flags.resume) {
+      throw new Error('--resume cannot be combined with --dry-run');
+    }
+    
+    let journal = null;
+    if (!dryRun) {
+      journal = new RunJournal();
+      if (flags.resume) {
+        journal.load(String(flags.resume));
+        if (journal.isCompleted()) {
+          logger.info(`Run ${journal.runId} already completed, nothing to resume`);
+          return;
+        }
+        logger.info(`Resuming run ${journal.runId}`);
+      } else {
+        journal.start();
+        logger.info(`Run ${journal.runId} started; if it stops partway through, continue it with --resume ${journal.runId}`);
+      }
+    }
+    
     // Load configuration
     const { config, privateKeys, proxies } = configLoader.load();
     logger.info(`Loaded ${privateKeys.length} private keys and ${proxies.length} proxies`);
@@ -222,7 +419,8 @@ async function main() {
         const wallet = new Wallet(
           privateKeys[i],
           config.network.rpcUrl,
-          proxies.length > i ? proxies[i] : null
+          proxies.length > i ? proxies[i] : null,
+          config.transactions
         );
         wallets.push(wallet);
       } catch (error) {
@@ -235,20 +433,52 @@ async function main() {
     }
     
     logger.info(`Successfully initialized ${wallets.length} wallets`);
+    interactionService.useWallets(wallets);
+    interactionService.useGenerator(deployerService.contractGenerator);
+    
+    // Only use deployments from the current network, and find ones lost to a devnet reset
+    await deployerService.useNetwork(wallets[0].getProvider(), config.network.chainId);
+    const liveness = config.deploy.liveness || {};
+    const reorgCheck = (config.transactions && config.transactions.reorgCheck) || {};
+    // A dry run leaves the deployment registry untouched. Records of transactions a reorg
+    // dropped since the last run are marked orphaned first, so the liveness check doesn't
+    // report their contracts as dead.
+    if (reorgCheck.enabled !== false && !dryRun) {
+      await deployerService.checkReorgs(wallets[0].getProvider(), { depth: reorgCheck.depth || 0 });
+      await interactionService.checkReorgs(wallets[0].getProvider(), { depth: reorgCheck.depth || 0 });
+    }
+    if (liveness.check !== false && !dryRun) {
+      await deployerService.checkLiveness(wallets[0].getProvider(), { prune: liveness.prune === true });
+    }
     
     // Process each wallet one by one
     for (let i = 0; i < wallets.length; i++) {
-      await processWallet(wallets[i], config, services);
+      if (journal) {
+        if (journal.isWalletCompleted(wallets[i].getAddress())) {
+          logger.info(`Wallet ${wallets[i].getAddress()} was completed earlier in this run, skipping`);
+          continue;
+        }
+        journal.attach(wallets[i]);
+        await journal.reconcile(wallets[i]);
+      }
+      
+      await processWallet(wallets[i], config, services, { dryRun, journal });
       
       // Wait between wallets
-      if (i < wallets.length - 1) {
+      if (i < wallets.length - 1 && !dryRun) {
         const walletDelay = config.walletDelay || 5000;
         logger.info(`Waiting ${walletDelay}ms before processing next wallet...`);
         await sleep(walletDelay);
       }
     }
     
-    logger.info('\nAll wallet processing completed successfully');
+    if (journal) {
+      journal.complete();
+    }
+    logger.info(dryRun ? '\nDry run completed, no transactions were sent' : '\nAll wallet processing completed successfully');
+    if (!dryRun) {
+      logger.info(`Events emitted this run: ${formatEventCounts(interactionService.eventCounts)}`);
+    }
     
   } catch (error) {
     logger.error(`Fatal error: ${error.message}`);
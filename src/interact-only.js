@@ -3,12 +3,35 @@ const logger = require('./utils/logger');
 const Wallet = require('./models/wallet');
 const DeployerService = require('./services/deployer');
 const InteractionService = require('./services/interaction');
+const DryRunPlanner = require('./services/dryRun');
+const ExplorerClient = require('./services/explorer');
+const ExternalContractLoader = require('./services/external');
+const { parseArgs } = require('./utils/args');
+const { formatEventCounts } = require('./utils/events');
+
+// Interact with the contracts the wallets deployed and with interaction.external:
+// npm run interact-only [-- --dry-run]
+// npm run interact-only -- --address 0x... [--abi Token.json] [--allow a,b] [--deny c]
+// --address targets only that contract, with every wallet; without --abi its ABI is
+// fetched from the explorer.
 
 async function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
-async function interactWithExistingContracts(wallet, config, services) {
+// Contracts a wallet interacts with: its own deployments, unless only external
+// contracts are targeted, and the external contracts, which every wallet calls
+function getTargetContracts(wallet, services) {
+  const own = services.externalOnly ? [] : services.deployer.getDeployedContractsByWallet(wallet.getAddress());
+  return own.concat(services.external || []);
+}
+
+// With options.dryRun the interactions are only simulated and reported
+async function interactWithExistingContracts(wallet, config, services, options = {}) {
+  if (options.dryRun) {
+    return dryRunInteractions(wallet, config, services);
+  }
+
   try {
     const address = wallet.getAddress();
     logger.info(`\n${'='.repeat(50)}`);
@@ -19,23 +42,27 @@ async function interactWithExistingContracts(wallet, config, services) {
     const initialBalance = await wallet.getBalance();
     logger.info(`Current balance: ${initialBalance} ETH`);
     
-    // Get contracts deployed by this wallet
-    const deployedContracts = services.deployer.getDeployedContractsByWallet(address);
+    // Get contracts deployed by this wallet, and the external ones
+    const deployedContracts = getTargetContracts(wallet, services);
     
     if (deployedContracts.length === 0) {
       logger.warn(`No deployed contracts found for wallet ${address}. Skipping.`);
       return;
     }
     
-    logger.info(`Found ${deployedContracts.length} deployed contracts for this wallet`);
+    logger.info(`Found ${deployedContracts.length} contracts for this wallet`);
     
     // Interact with deployed contracts
     for (const contract of deployedContracts) {
       logger.info(`\n--- Interacting with contract: ${contract.address} ---`);
-      const interactionCount = config.interaction.count || 10;
+      const interactionCount = services.interaction.getInteractionCount(config.interaction.count || 10);
       
       try {
-        logger.info(`Contract deployed at block ${contract.blockNumber}`);
+        if (contract.external) {
+          logger.info(`External contract${contract.name ? ` ${contract.name}` : ''}`);
+        } else {
+          logger.info(`Contract deployed at block ${contract.blockNumber}`);
+        }
         const interactionResults = await services.interaction.interact(
           wallet, 
           contract, 
@@ -43,6 +70,14 @@ async function interactWithExistingContracts(wallet, config, services) {
         );
         
         logger.info(`Completed ${interactionResults.successful}/${interactionResults.total} interactions`);
+        logger.info(`Events emitted: ${formatEventCounts(interactionResults.eventCounts)}`);
+        logger.info(`Function coverage: ${interactionResults.coverage.succeeded}/${interactionResults.coverage.functions} functions succeeded at least once (npm run coverage for the gaps)`);
+        if (interactionResults.divergences !== undefined) {
+          logger.info(`Reference model divergences: ${interactionResults.divergences}`);
+        }
+        if (interactionResults.reads) {
+          logger.info(`Read-only calls: ${interactionResults.reads.total}, ${interactionResults.reads.mismatches} mismatches, ${interactionResults.reads.failed} failed`);
+        }
       } catch (error) {
         logger.error(`Failed to perform interactions with contract ${contract.address}: ${error.message}`);
       }
@@ -63,11 +98,40 @@ async function interactWithExistingContracts(wallet, config, services) {
   }
 }
 
+// Simulate the interactions with a wallet's contracts and report the expected gas,
+// cost and reverts without sending anything
+async function dryRunInteractions(wallet, config, services) {
+  try {
+    const address = wallet.getAddress();
+    const deployedContracts = getTargetContracts(wallet, services);
+    if (deployedContracts.length === 0) {
+      logger.warn(`No deployed contracts found for wallet ${address}. Skipping.`);
+      return;
+    }
+    
+    const planner = new DryRunPlanner(wallet);
+    const interactionCount = config.interaction.count || 10;
+    for (const contract of deployedContracts) {
+      await planner.addInteractions(services.interaction, contract, interactionCount);
+    }
+    return await planner.report();
+  } catch (error) {
+    logger.error(`Dry run failed for wallet ${wallet.getAddress()}: ${error.message}`);
+  }
+}
+
 async function main() {
   try {
     logger.info('Starting Seismic Auto Interact Only Mode');
     logger.info('=======================================');
     
+    // --dry-run simulates the interactions without sending transactions
+    const { flags } = parseArgs();
+    const dryRun = flags['dry-run'] === true;
+    if (dryRun) {
+      logger.info('Dry run: estimating gas and cost, nothing will be sent');
+    }
+    
     // Load configuration
     const { config, privateKeys, proxies } = configLoader.load();
     logger.info(`Loaded ${privateKeys.length} private keys and ${proxies.length} proxies`);
@@ -81,14 +145,28 @@ async function main() {
     const loadedContracts = deployerService.loadPreviousDeployments();
     const interactionService = new InteractionService(config.interaction);
     
-    if (loadedContracts.length === 0) {
+    // --address replaces the configured external contracts
+    const externalTargets = flags.address
+      ? [{
+          address: flags.address,
+          abi: flags.abi,
+          functions: {
+            allow: flags.allow ? String(flags.allow).split(',') : [],
+            deny: flags.deny ? String(flags.deny).split(',') : []
+          }
+        }]
+      : config.interaction.external || [];
+    
+    if (loadedContracts.length === 0 && externalTargets.length === 0) {
       logger.error("No deployed contracts found in the deployments folder. Cannot proceed with interaction-only mode.");
       process.exit(1);
     }
     
     const services = {
       deployer: deployerService,
-      interaction: interactionService
+      interaction: interactionService,
+      external: [],
+      externalOnly: Boolean(flags.address)
     };
     
     // Create wallet instances
@@ -98,7 +176,8 @@ async function main() {
         const wallet = new Wallet(
           privateKeys[i],
           config.network.rpcUrl,
-          proxies.length > i ? proxies[i] : null
+          proxies.length > i ? proxies[i] : null,
+          config.transactions
         );
         wallets.push(wallet);
       } catch (error) {
@@ -111,20 +190,51 @@ async function main() {
     }
     
     logger.info(`Successfully initialized ${wallets.length} wallets`);
+    interactionService.useWallets(wallets);
+    interactionService.useGenerator(deployerService.contractGenerator);
+    
+    // Only use deployments from the current network, and find ones lost to a devnet reset
+    await deployerService.useNetwork(wallets[0].getProvider(), config.network.chainId);
+    const liveness = config.deploy.liveness || {};
+    const reorgCheck = (config.transactions && config.transactions.reorgCheck) || {};
+    // A dry run leaves the deployment registry untouched. Records of transactions a reorg
+    // dropped since the last run are marked orphaned first, so the liveness check doesn't
+    // report their contracts as dead.
+    if (reorgCheck.enabled !== false && !dryRun) {
+      await deployerService.checkReorgs(wallets[0].getProvider(), { depth: reorgCheck.depth || 0 });
+      await interactionService.checkReorgs(wallets[0].getProvider(), { depth: reorgCheck.depth || 0 });
+    }
+    if (liveness.check !== false && !dryRun) {
+      await deployerService.checkLiveness(wallets[0].getProvider(), { prune: liveness.prune === true });
+    }
+    
+    if (externalTargets.length > 0) {
+      const explorer = new ExplorerClient({
+        explorerUrl: config.network.explorerUrl,
+        apiUrl: config.network.explorerApiUrl
+      });
+      services.external = await new ExternalContractLoader(explorer).load(externalTargets, wallets[0].getProvider());
+      if (services.externalOnly && services.external.length === 0) {
+        throw new Error(`Could not load the contract at ${flags.address}`);
+      }
+    }
     
     // Process each wallet one by one
     for (let i = 0; i < wallets.length; i++) {
-      await interactWithExistingContracts(wallets[i], config, services);
+      await interactWithExistingContracts(wallets[i], config, services, { dryRun });
       
       // Wait between wallets
-      if (i < wallets.length - 1) {
+      if (i < wallets.length - 1 && !dryRun) {
         const walletDelay = config.walletDelay || 5000;
         logger.info(`Waiting ${walletDelay}ms before processing next wallet...`);
         await sleep(walletDelay);
       }
     }
     
-    logger.info('\nAll wallet processing completed successfully');
+    logger.info(dryRun ? '\nDry run completed, no transactions were sent' : '\nAll wallet processing completed successfully');
+    if (!dryRun) {
+      logger.info(`Events emitted this run: ${formatEventCounts(interactionService.eventCounts)}`);
+    }
     
   } catch (error) {
     logger.error(`Fatal error: ${error.message}`);
@@ -1,13 +1,89 @@
 const { ethers } = require('ethers');
 const logger = require('../utils/logger');
 
+// Defaults for the transaction settings (config.transactions)
+const DEFAULT_TX_CONFIG = {
+  fees: {
+    type: 'eip1559',
+    baseFeeMultiplier: 2
+  },
+  gasLimitMultiplier: 1.2,
+  stuckTimeout: 120000,
+  pollInterval: 1000,
+  replacement: 'speedup',
+  feeBump: 1.15,
+  maxReplacements: 3,
+  maxInFlight: 1,
+  confirmations: 1,
+  timeout: 0
+};
+
+// Attempts to send a transaction when the node rejects its nonce
+const MAX_NONCE_RETRIES = 3;
+
+// Errors meaning the local nonce is out of step with the chain, e.g. after a crash left
+// transactions pending or another client sent from the same account
+function isNonceError(error) {
+  return isUsedNonceError(error) || /nonce/i.test(error.message);
+}
+
+// Errors meaning the nonce belongs to a mined or pending transaction already
+function isUsedNonceError(error) {
+  return error.code === 'NONCE_EXPIRED' ||
+    error.code === 'REPLACEMENT_UNDERPRICED' ||
+    /nonce too low|already known/i.test(error.message);
+}
+
+// Settled transactions whose receipt stays cached for waitForTransaction; older ones
+// are dropped so long runs don't keep every receipt in memory
+const SETTLED_RECEIPTS_KEPT = 256;
+
+// Nodes only accept a replacement that raises the fees by at least 10%
+const MIN_FEE_BUMP_PERCENT = 110n;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Gwei amounts from the config, which may be numbers or strings
+function parseGwei(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  return ethers.parseUnits(String(value), 'gwei');
+}
+
+// Multiply a bigint by a decimal factor with basis-point precision
+function scale(value, factor) {
+  return value * BigInt(Math.round(factor * 10000)) / 10000n;
+}
+
 class Wallet {
-  constructor(privateKey, rpcUrl, proxy = null) {
+  constructor(privateKey, rpcUrl, proxy = null, txConfig = {}) {
     this.privateKey = privateKey;
     this.rpcUrl = rpcUrl;
     this.proxy = proxy;
     this.provider = null;
     this.wallet = null;
+    this.txConfig = {
+      ...DEFAULT_TX_CONFIG,
+      ...(txConfig || {}),
+      fees: { ...DEFAULT_TX_CONFIG.fees, ...((txConfig && txConfig.fees) || {}) }
+    };
+
+    // Nonce manager: nonces are handed out locally and up to maxInFlight sent
+    // transactions are watched at once (see sendTransaction)
+    this.nextNonce = null;
+    this.sendLock = Promise.resolve();
+    this.inFlight = new Map();
+    // Receipt watchers of in-flight and recently settled transactions, by hash
+    this.receipts = new Map();
+    this.settledHashes = [];
+    // Transactions sent before a restart that sendTransaction hands back instead of
+    // sending the same transaction again (see adoptTransactions)
+    this.adopted = [];
+    // Optional { sent(response), settled(response) } told about every tracked transaction
+    this.transactionListener = null;
     this.initialize();
   }
 
@@ -40,10 +116,78 @@ class Wallet {
     }
   }
 
+  // Fee fields for a new transaction under the configured fee policy. EIP-1559 fees are
+  // baseFee * baseFeeMultiplier + priority fee; maxFeePerGas caps both policies.
+  async getFeeOverrides() {
+    const fees = this.txConfig.fees;
+    const cap = parseGwei(fees.maxFeePerGas);
+    const [feeData, block] = await Promise.all([
+      this.provider.getFeeData(),
+      this.provider.getBlock('latest')
+    ]);
+
+    if (fees.type === 'eip1559' && block.baseFeePerGas === null) {
+      if (!this.warnedNoBaseFee) {
+        logger.warn('Network has no base fee, sending legacy transactions instead of EIP-1559');
+        this.warnedNoBaseFee = true;
+      }
+    } else if (fees.type === 'eip1559') {
+      let maxPriorityFeePerGas = parseGwei(fees.maxPriorityFeePerGas);
+      if (maxPriorityFeePerGas === null) {
+        maxPriorityFeePerGas = feeData.maxPriorityFeePerGas || 0n;
+      }
+      let maxFeePerGas = scale(block.baseFeePerGas, fees.baseFeeMultiplier) + maxPriorityFeePerGas;
+      if (cap !== null && maxFeePerGas > cap) {
+        maxFeePerGas = cap;
+      }
+      if (maxPriorityFeePerGas > maxFeePerGas) {
+        maxPriorityFeePerGas = maxFeePerGas;
+      }
+      return { type: 2, maxFeePerGas, maxPriorityFeePerGas };
+    }
+
+    let gasPrice = parseGwei(fees.gasPrice);
+    if (gasPrice === null) {
+      gasPrice = feeData.gasPrice;
+    }
+    if (cap !== null && gasPrice > cap) {
+      gasPrice = cap;
+    }
+    return { type: 0, gasPrice };
+  }
+
+  // Fill in the gas limit (estimate * gasLimitMultiplier) and fees a transaction doesn't set
+  async prepareTransaction(tx) {
+    const prepared = { ...tx };
+
+    if (prepared.gasLimit === undefined || prepared.gasLimit === null) {
+      const estimate = await this.provider.estimateGas({ ...tx, from: this.getAddress() });
+      prepared.gasLimit = scale(estimate, this.txConfig.gasLimitMultiplier);
+    }
+
+    const hasFees = prepared.gasPrice !== undefined || prepared.maxFeePerGas !== undefined;
+    if (!hasFees) {
+      Object.assign(prepared, await this.getFeeOverrides());
+    }
+    return prepared;
+  }
+
+  // Send a transaction with the next local nonce and start watching it for a receipt
+  // without waiting (see waitForTransaction). Waits first while maxInFlight transactions
+  // are still pending. Nonces are assigned and broadcast one at a time, so a failed send
+  // hands its nonce to the next transaction instead of leaving a gap.
   async sendTransaction(tx) {
+    const adopted = this._takeAdopted(tx);
+    if (adopted) {
+      logger.info(`Reusing transaction ${adopted.hash} (nonce ${adopted.nonce}) sent before the restart`);
+      return adopted;
+    }
+
     try {
-      const result = await this.wallet.sendTransaction(tx);
-      logger.info(`Transaction sent: ${result.hash}`);
+      const prepared = await this.prepareTransaction(tx);
+      const result = await this._withSendLock(() => this._sendWithNonce(prepared));
+      this.trackTransaction(result);
+      logger.info(`Transaction sent: ${result.hash} (nonce ${result.nonce})`);
       return result;
     } catch (error) {
       logger.error(`Transaction failed: ${error.message}`);
@@ -51,6 +195,247 @@ class Wallet {
     }
   }
 
+  // Watch a sent transaction for its receipt, e.g. one found pending after a restart.
+  // It counts towards maxInFlight until it's mined or given up on.
+  trackTransaction(response) {
+    if (this.receipts.has(response.hash)) {
+      return response;
+    }
+
+    const listener = this.transactionListener;
+    if (listener) {
+      listener.sent(response);
+    }
+
+    const receipt = this._watchTransaction(response);
+    this.receipts.set(response.hash, receipt);
+    this.inFlight.set(response.hash, receipt.catch(() => null).finally(() => {
+      this.inFlight.delete(response.hash);
+      this.settledHashes.push(response.hash);
+      if (this.settledHashes.length > SETTLED_RECEIPTS_KEPT) {
+        this.receipts.delete(this.settledHashes.shift());
+      }
+      if (listener) {
+        listener.settled(response);
+      }
+    }));
+    return response;
+  }
+
+  // Track transactions sent before a restart and let sendTransaction return one of them
+  // instead of sending a transaction with the same recipient and data again, so a resumed
+  // deployment reuses the deployment transaction already on chain
+  adoptTransactions(responses) {
+    for (const response of responses) {
+      this.adopted.push(this.trackTransaction(response));
+    }
+  }
+
+  // Stop offering an adopted transaction, one that failed and must be sent again
+  dropAdopted(hash) {
+    this.adopted = this.adopted.filter(response => response.hash !== hash);
+  }
+
+  _takeAdopted(tx) {
+    const to = tx.to ? tx.to.toLowerCase() : null;
+    const index = this.adopted.findIndex(response =>
+      (response.to ? response.to.toLowerCase() : null) === to && response.data === (tx.data || '0x')
+    );
+    return index === -1 ? null : this.adopted.splice(index, 1)[0];
+  }
+
+  // Run fn after every earlier send finished, one at a time
+  _withSendLock(fn) {
+    const run = this.sendLock.then(fn);
+    this.sendLock = run.catch(() => {});
+    return run;
+  }
+
+  async _sendWithNonce(prepared) {
+    while (this.inFlight.size >= this.txConfig.maxInFlight) {
+      await Promise.race(this.inFlight.values());
+    }
+
+    for (let attempt = 1; ; attempt++) {
+      if (this.nextNonce === null) {
+        await this.resyncNonce();
+      }
+
+      const nonce = this.nextNonce;
+      try {
+        const result = await this.wallet.sendTransaction({ ...prepared, nonce });
+        this.nextNonce = nonce + 1;
+        return result;
+      } catch (error) {
+        if (!isNonceError(error) || attempt >= MAX_NONCE_RETRIES) {
+          // Nothing was broadcast, so the nonce is still free unless the chain moved on
+          this.nextNonce = isNonceError(error) ? null : nonce;
+          throw error;
+        }
+        logger.warn(`Nonce ${nonce} rejected (${error.shortMessage || error.message}), resyncing from the chain`);
+        await this.resyncNonce();
+        // Nodes whose pending count lags behind their pool would hand out the same nonce again
+        if (isUsedNonceError(error) && this.nextNonce <= nonce) {
+          this.nextNonce = nonce + 1;
+        }
+      }
+    }
+  }
+
+  // Take the next nonce from the node's pending transaction count. Sent as a raw request
+  // because ethers briefly caches identical calls, which could return the stale count.
+  async resyncNonce() {
+    const count = await this.provider.send('eth_getTransactionCount', [this.getAddress(), 'pending']);
+    this.nextNonce = Number(count);
+    return this.nextNonce;
+  }
+
+  // Wait for every transaction sent from this wallet that is still being watched
+  async waitForPending() {
+    await Promise.all(this.inFlight.values());
+  }
+
+  // Receipt of a transaction sent with sendTransaction, once it has the configured number
+  // of confirmations. Returns the receipt of the mined transaction or its replacement and
+  // throws when it reverted, was cancelled, nothing was mined after maxReplacements
+  // replacements, or the transaction timeout passed.
+  waitForTransaction(response) {
+    return this.receipts.get(response.hash) || this._watchTransaction(response);
+  }
+
+  // Poll for a transaction's receipt. A transaction still pending after stuckTimeout is
+  // replaced by one with the same nonce and higher fees: the same call (speedup) or a
+  // zero-value transfer to this wallet (cancel), as configured in replacement.
+  async _watchTransaction(response) {
+    const { stuckTimeout, pollInterval, maxReplacements, replacement, confirmations, timeout } = this.txConfig;
+    const sent = [response];
+    let current = response;
+    let replacements = 0;
+    let deadline = Date.now() + stuckTimeout;
+    const giveUpAt = timeout > 0 ? Date.now() + timeout : null;
+
+    for (;;) {
+      let mined = await this._findMined(sent);
+
+      // The nonce is used; unless by a transaction sent from somewhere else, the receipt
+      // shows up on the next poll
+      if (!mined) {
+        const nonce = Number(await this.provider.send('eth_getTransactionCount', [this.getAddress(), 'latest']));
+        if (nonce > response.nonce) {
+          await sleep(pollInterval);
+          mined = await this._findMined(sent);
+          if (!mined) {
+            throw new Error(`Nonce ${response.nonce} of transaction ${response.hash} was used by another transaction`);
+          }
+        }
+      }
+
+      if (mined) {
+        if (mined.isCancellation) {
+          throw new Error(`Transaction ${response.hash} was cancelled by ${mined.hash} after staying pending`);
+        }
+        // wait() throws on a revert, and with a timeout once the time left runs out
+        const remaining = giveUpAt === null ? undefined : Math.max(giveUpAt - Date.now(), 1);
+        return mined.wait(confirmations, remaining);
+      }
+
+      if (giveUpAt !== null && Date.now() >= giveUpAt) {
+        throw ethers.makeError(`Transaction ${response.hash} not mined within ${timeout}ms`, 'TIMEOUT', { operation: 'waitForTransaction', timeout });
+      }
+
+      if (Date.now() >= deadline) {
+        if (replacements >= maxReplacements) {
+          throw ethers.makeError(`Transaction ${response.hash} still pending after ${replacements} replacements`, 'TIMEOUT', { operation: 'waitForTransaction', replacements });
+        }
+        replacements++;
+        const replaced = await this._replaceTransaction(current, replacement);
+        if (replaced) {
+          sent.push(replaced);
+          current = replaced;
+        }
+        deadline = Date.now() + stuckTimeout;
+      }
+
+      await sleep(pollInterval);
+    }
+  }
+
+  // The first of a transaction and its replacements that has a receipt. Raw requests
+  // avoid ethers' short-lived cache of identical calls, which could hide a new receipt.
+  async _findMined(sent) {
+    for (const candidate of sent) {
+      if (await this.provider.send('eth_getTransactionReceipt', [candidate.hash])) {
+        return candidate;
+      }
+    }
+    return null;
+  }
+
+  // Send a transaction with the same nonce as a pending one and fees raised by feeBump
+  // (and at least to the current fee level). Returns null when the fee cap leaves no
+  // room for a replacement the node would accept.
+  async _replaceTransaction(pending, mode) {
+    const { feeBump, fees } = this.txConfig;
+    const cap = parseGwei(fees.maxFeePerGas);
+    const current = await this.getFeeOverrides();
+    const bump = (previous, latest) => {
+      const minimum = previous * MIN_FEE_BUMP_PERCENT / 100n;
+      let bumped = scale(previous, feeBump);
+      if (bumped < minimum) {
+        bumped = minimum;
+      }
+      if (latest > bumped) {
+        bumped = latest;
+      }
+      return cap !== null && bumped > cap ? cap : bumped;
+    };
+
+    const feeFields = {};
+    if (pending.type === 2) {
+      feeFields.type = 2;
+      feeFields.maxFeePerGas = bump(pending.maxFeePerGas, current.maxFeePerGas || 0n);
+      feeFields.maxPriorityFeePerGas = bump(pending.maxPriorityFeePerGas, current.maxPriorityFeePerGas || 0n);
+      if (feeFields.maxPriorityFeePerGas > feeFields.maxFeePerGas) {
+        feeFields.maxPriorityFeePerGas = feeFields.maxFeePerGas;
+      }
+      if (feeFields.maxFeePerGas * 100n < pending.maxFeePerGas * MIN_FEE_BUMP_PERCENT ||
+          feeFields.maxPriorityFeePerGas * 100n < pending.maxPriorityFeePerGas * MIN_FEE_BUMP_PERCENT) {
+        logger.warn(`Transaction ${pending.hash} is stuck but the fee cap leaves no room to replace it`);
+        return null;
+      }
+    } else {
+      feeFields.type = pending.type;
+      feeFields.gasPrice = bump(pending.gasPrice, current.gasPrice || 0n);
+      if (feeFields.gasPrice * 100n < pending.gasPrice * MIN_FEE_BUMP_PERCENT) {
+        logger.warn(`Transaction ${pending.hash} is stuck but the fee cap leaves no room to replace it`);
+        return null;
+      }
+    }
+
+    const replacementTx = mode === 'cancel'
+      ? { to: this.getAddress(), value: 0, data: '0x', gasLimit: 21000 }
+      : { to: pending.to, value: pending.value, data: pending.data, gasLimit: pending.gasLimit };
+
+    try {
+      const replaced = await this.wallet.sendTransaction({
+        ...replacementTx,
+        ...feeFields,
+        nonce: pending.nonce,
+        chainId: pending.chainId
+      });
+      replaced.isCancellation = mode === 'cancel';
+      if (this.transactionListener) {
+        this.transactionListener.sent(replaced);
+      }
+      logger.warn(`Transaction ${pending.hash} pending too long, sent ${mode === 'cancel' ? 'cancellation' : 'speed-up'} ${replaced.hash} with nonce ${pending.nonce}`);
+      return replaced;
+    } catch (error) {
+      // The original may have been mined in the meantime; the next poll picks it up
+      logger.warn(`Failed to replace transaction ${pending.hash}: ${error.message}`);
+      return null;
+    }
+  }
+
   getWallet() {
     return this.wallet;
   }
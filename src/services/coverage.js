@@ -0,0 +1,164 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+
+// Version of the coverage file layout
+const COVERAGE_VERSION = 1;
+
+// Function coverage of every contract interacted with, kept across runs in
+// interactions/coverage.json: per ABI function (keyed by signature) the calls sent, how
+// they ended, and the pre-flight simulations that reverted. Selection mode "coverage"
+// weighs functions by it; npm run coverage reports the functions that never succeeded.
+// Like the deployment registry, writes go through a temporary file.
+class CoverageStore {
+  constructor(interactionsDir = path.join(process.cwd(), 'interactions')) {
+    this.filePath = path.join(interactionsDir, 'coverage.json');
+    this.contracts = new Map();
+    this.loaded = false;
+  }
+
+  load() {
+    this.contracts.clear();
+    if (fs.existsSync(this.filePath)) {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      if (data.version > COVERAGE_VERSION) {
+        throw new Error(`Coverage file version ${data.version} is newer than supported version ${COVERAGE_VERSION}`);
+      }
+      for (const entry of data.contracts || []) {
+        this.contracts.set(entry.address.toLowerCase(), entry);
+      }
+    }
+    this.loaded = true;
+    return this.all();
+  }
+
+  _ensureLoaded() {
+    if (!this.loaded) {
+      this.load();
+    }
+  }
+
+  save() {
+    this._ensureLoaded();
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(tmpPath, JSON.stringify({ version: COVERAGE_VERSION, contracts: this.all() }, null, 2));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  all() {
+    this._ensureLoaded();
+    return Array.from(this.contracts.values());
+  }
+
+  get(address) {
+    this._ensureLoaded();
+    return this.contracts.get(address.toLowerCase()) || null;
+  }
+
+  // Start tracking a contract (a deployment or external record), listing every function
+  // of its current ABI so uncalled ones show up. Functions a proxy upgrade removed are
+  // dropped. The function type comes from the template's reference model spec, if any.
+  track(contractInfo) {
+    const entry = this._entry(contractInfo.address);
+    entry.template = contractInfo.template || null;
+    entry.name = contractInfo.name || null;
+    entry.chainId = contractInfo.chainId !== undefined ? contractInfo.chainId : null;
+
+    const types = (contractInfo.model && contractInfo.model.functions) || {};
+    const functions = {};
+    for (const item of contractInfo.abi.filter(abiItem => abiItem.type === 'function')) {
+      const fn = this._function(entry, item);
+      const type = types[item.name];
+      fn.kind = ['view', 'pure'].includes(item.stateMutability) ? 'read' : 'write';
+      if (type) {
+        fn.type = type;
+      }
+      functions[signatureOf(item)] = fn;
+    }
+    entry.functions = functions;
+    return entry;
+  }
+
+  // A call to fn (ABI item or fragment) was sent, or eth_called for reads
+  recordCall(address, fn) {
+    const coverage = this._function(this._entry(address), fn);
+    coverage.calls++;
+    coverage.lastCalledAt = new Date().toISOString();
+  }
+
+  // How a call ended: 'success', 'revert' or 'failure' (any other error class, see
+  // utils/errors), with the reason of a revert
+  recordOutcome(address, fn, outcome, reason = null) {
+    const coverage = this._function(this._entry(address), fn);
+    if (outcome === 'success') {
+      coverage.successes++;
+    } else if (outcome === 'revert') {
+      coverage.reverts++;
+      coverage.lastRevert = reason;
+    } else {
+      coverage.failures++;
+    }
+  }
+
+  recordSimulatedRevert(address, fn, reason) {
+    const coverage = this._function(this._entry(address), fn);
+    coverage.simulatedReverts++;
+    coverage.lastRevert = reason;
+  }
+
+  // Selection weight of a function: functions with fewer calls and reverted simulations
+  // so far are picked more often, uncalled ones most
+  weight(address, fn) {
+    const entry = this.get(address);
+    const coverage = entry && entry.functions[signatureOf(fn)];
+    const attempts = coverage ? coverage.calls + coverage.simulatedReverts : 0;
+    return 1 / ((1 + attempts) ** 2);
+  }
+
+  _entry(address) {
+    this._ensureLoaded();
+    const key = address.toLowerCase();
+    if (!this.contracts.has(key)) {
+      this.contracts.set(key, { address, template: null, name: null, chainId: null, functions: {} });
+    }
+    const entry = this.contracts.get(key);
+    entry.updatedAt = new Date().toISOString();
+    return entry;
+  }
+
+  _function(entry, fn) {
+    const signature = signatureOf(fn);
+    if (!entry.functions[signature]) {
+      entry.functions[signature] = {
+        name: fn.name,
+        calls: 0,
+        successes: 0,
+        reverts: 0,
+        failures: 0,
+        simulatedReverts: 0,
+        lastRevert: null,
+        lastCalledAt: null
+      };
+    }
+    return entry.functions[signature];
+  }
+}
+
+// Coverage outcome of a failure's error class
+function outcomeOf(errorClass) {
+  return errorClass === 'revert' ? 'revert' : 'failure';
+}
+
+function signatureOf(fn) {
+  return ethers.FunctionFragment.from(fn).format();
+}
+
+// Functions of a coverage entry that never succeeded, as [signature, coverage] pairs
+function findGaps(entry) {
+  return Object.entries(entry.functions).filter(([, coverage]) => coverage.successes === 0);
+}
+
+module.exports = CoverageStore;
+module.exports.outcomeOf = outcomeOf;
+module.exports.findGaps = findGaps;
@@ -0,0 +1,108 @@
+const { ethers } = require('ethers');
+const logger = require('../utils/logger');
+
+// Deterministic deployment proxy (github.com/Arachnid/deterministic-deployment-proxy).
+// The factory is deployed by a pre-signed transaction without a chain ID, so it lands at
+// the same address on every network that accepts it. The factory takes a 32-byte salt
+// followed by init code as calldata and CREATE2-deploys it.
+const FACTORY_ADDRESS = '0x4e59b44847b379578588920cA78FbF26c0B4956C';
+const FACTORY_DEPLOYER = '0x3fAB184622Dc19b6109349B94811493BF2a45362';
+const FACTORY_DEPLOY_TX = '0xf8a58085174876e800830186a08080b853604580600e600039806000f350fe7fffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffe03601600081602082378035828234f58015156039578182fd5b8082525050506014600cf31ba02222222222222222222222222222222222222222222222222222222222222222a02222222222222222222222222222222222222222222222222222222222222222';
+// Gas price (100 gwei) times gas limit (100000) of the pre-signed transaction
+const FACTORY_DEPLOY_COST = ethers.parseUnits('0.01', 'ether');
+
+class Create2Deployer {
+  constructor(config = {}) {
+    this.factoryAddress = config.factoryAddress || FACTORY_ADDRESS;
+    this.salt = Create2Deployer.toSalt(config.salt !== undefined ? config.salt : 0);
+  }
+
+  // Use 32-byte hex salts as-is and hash anything else into one
+  static toSalt(salt) {
+    if (typeof salt === 'string' && ethers.isHexString(salt, 32)) {
+      return salt;
+    }
+    if (typeof salt === 'number') {
+      return ethers.zeroPadValue(ethers.toBeHex(salt), 32);
+    }
+    return ethers.id(String(salt));
+  }
+
+  // Salt of the index-th contract a wallet deploys in a run: the configured salt for the
+  // first, then derived from it, so contracts with the same init code get their own address
+  saltFor(index = 0) {
+    if (!index) {
+      return this.salt;
+    }
+    return ethers.solidityPackedKeccak256(['bytes32', 'uint256'], [this.salt, index]);
+  }
+
+  computeAddress(initCode, salt = this.salt) {
+    return ethers.getCreate2Address(this.factoryAddress, salt, ethers.keccak256(initCode));
+  }
+
+  // Deploy the factory on this network if it isn't there yet, funding the one-time
+  // deployer account from the wallet
+  async ensureFactory(wallet) {
+    const provider = wallet.getProvider();
+    const code = await provider.getCode(this.factoryAddress);
+    if (code !== '0x') {
+      return;
+    }
+
+    if (this.factoryAddress.toLowerCase() !== FACTORY_ADDRESS.toLowerCase()) {
+      throw new Error(`No CREATE2 factory deployed at configured address ${this.factoryAddress}`);
+    }
+
+    logger.info(`CREATE2 factory not found on this network, deploying it to ${FACTORY_ADDRESS}...`);
+
+    const deployerBalance = await provider.getBalance(FACTORY_DEPLOYER);
+    if (deployerBalance < FACTORY_DEPLOY_COST) {
+      const fundTx = await wallet.sendTransaction({
+        to: FACTORY_DEPLOYER,
+        value: FACTORY_DEPLOY_COST - deployerBalance
+      });
+      await wallet.waitForTransaction(fundTx);
+    }
+
+    // The pre-signed transaction can't be replaced, so only bound the wait
+    const deployTx = await provider.broadcastTransaction(FACTORY_DEPLOY_TX);
+    const receipt = await deployTx.wait(1, wallet.txConfig.stuckTimeout);
+
+    // Query at the receipt's block; ethers briefly caches identical calls, such as the check above
+    if (await provider.getCode(this.factoryAddress, receipt.blockNumber) === '0x') {
+      throw new Error('CREATE2 factory deployment did not produce code. The network may reject transactions without a chain ID.');
+    }
+    logger.info(`CREATE2 factory deployed at ${this.factoryAddress}`);
+  }
+
+  // Deploy init code through the factory. When code already exists at the computed
+  // address nothing is sent and existing is true.
+  async deploy(wallet, initCode, salt = this.salt) {
+    const provider = wallet.getProvider();
+    const address = this.computeAddress(initCode, salt);
+
+    if (await provider.getCode(address) !== '0x') {
+      logger.info(`Contract already deployed at CREATE2 address ${address}, skipping deployment`);
+      return { address, existing: true, receipt: null };
+    }
+
+    await this.ensureFactory(wallet);
+
+    logger.info(`Deploying through CREATE2 factory to ${address} (salt: ${salt})`);
+    const tx = await wallet.sendTransaction({
+      to: this.factoryAddress,
+      data: ethers.concat([salt, initCode])
+    });
+    const receipt = await wallet.waitForTransaction(tx);
+
+    if (await provider.getCode(address, receipt.blockNumber) === '0x') {
+      throw new Error(`CREATE2 deployment transaction ${receipt.hash} did not create code at ${address}`);
+    }
+
+    return { address, existing: false, receipt };
+  }
+}
+
+module.exports = Create2Deployer;
+module.exports.FACTORY_ADDRESS = FACTORY_ADDRESS;
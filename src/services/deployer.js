@@ -1,115 +1,815 @@
 const { ethers } = require('ethers');
 const logger = require('../utils/logger');
 const ContractGenerator = require('../contracts/generator');
+const DeploymentRegistry = require('./registry');
+const Create2Deployer = require('./create2');
+const { IMPLEMENTATION_SLOT, ADMIN_SLOT, PROXY_CONTRACTS, PROXY_SOURCE, PROXY_SOURCE_NAME } = require('../contracts/proxy');
+const { MAX_RUNTIME_SIZE, MAX_INITCODE_SIZE } = ContractGenerator;
+const { sha256 } = require('../utils/hash');
+const { getNetworkIdentity, checkInclusion } = require('../utils/network');
+const { generateSeed, normalizeSeed } = require('../utils/random');
 const fs = require('fs');
 const path = require('path');
 
 class DeployerService {
   constructor(config) {
     this.config = config;
-    this.contractGenerator = new ContractGenerator();
-    this.deployedContracts = [];
+    this.contractGenerator = new ContractGenerator(config.template || 'multiFunction', config.compiler);
+    this.contractGenerator.loadTemplates(config.templatePaths || []);
     this.deploymentsDir = path.join(process.cwd(), 'deployments');
+    this.artifactsDir = path.join(process.cwd(), 'artifacts');
     
-    // Create deployments directory if it doesn't exist
-    if (!fs.existsSync(this.deploymentsDir)) {
-      fs.mkdirSync(this.deploymentsDir);
+    // Create deployments and artifacts directories if they don't exist
+    for (const dir of [this.deploymentsDir, this.artifactsDir]) {
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir);
+      }
     }
     
-    // Make contract generator accessible in other methods
-    this.contractName = this.contractGenerator.contractName;
+    this.registry = new DeploymentRegistry(this.deploymentsDir);
+    this.create2 = new Create2Deployer(config.create2);
+    this.network = null;
   }
 
-  async deployContract(wallet, functionCount = 100, initialValue = 0) {
+  async deployContract(wallet, options = {}) {
     try {
       const walletAddress = wallet.getAddress();
-      logger.info(`Deploying contract with ${functionCount} functions from wallet: ${walletAddress}`);
-      
-      // Generate and compile the contract
-      const contractSource = this.contractGenerator.generateContractSource(functionCount);
-      const { abi, bytecode } = this.contractGenerator.compileContract(contractSource);
+      const templateName = options.template || this.contractGenerator.template.name;
+      const template = this.contractGenerator.getTemplate(templateName);
+      const requestedFunctionCount = options.functionCount || this.config.functionCount || 100;
+      const seed = options.seed !== undefined ? options.seed : this.config.seed;
+      const proxyKind = this.resolveProxyKind(options.proxy);
+      logger.info(`Deploying ${templateName} contract${proxyKind ? ` behind a ${proxyKind} proxy` : ''} from wallet: ${walletAddress}`);
       
-      // Create contract factory
-      const factory = new ethers.ContractFactory(abi, bytecode, wallet.getWallet());
+      const constructorArgs = options.constructorArgs ||
+        this.contractGenerator.resolveConstructorArgs(this.config, templateName, wallet.getAddress());
       
-      // Deploy the contract with the initial value
-      logger.info(`Deploying contract with initial value: ${initialValue}`);
-      const contract = await factory.deploy(initialValue);
-      
-      // Wait for deployment transaction to be mined
-      logger.info(`Waiting for deployment transaction to be mined...`);
-      const receipt = await contract.deploymentTransaction().wait();
-      
-      const contractAddress = await contract.getAddress();
-      logger.info(`Contract deployed at: ${contractAddress}`);
-      logger.info(`Gas used for deployment: ${receipt.gasUsed.toString()}`);
+      // Generate and compile the contract, shrinking it if it would not fit on chain
+      const { generated, build, functionCount, sizeCheck } = await this.prepareContract(wallet, {
+        templateName,
+        functionCount: requestedFunctionCount,
+        seed,
+        constructorArgs,
+        proxyKind
+      });
       
-      // Save deployed contract info
-      const deployedContract = {
-        address: contractAddress,
-        abi,
-        wallet: walletAddress,
-        deployedAt: new Date().toISOString(),
-        transactionHash: receipt.hash,
-        blockNumber: receipt.blockNumber,
-        gasUsed: receipt.gasUsed.toString(),
-        functionCount
+      const recordFields = {
+        template: templateName,
+        contractName: template.contractName,
+        functionCount: template.scalable ? functionCount : null,
+        requestedFunctionCount: template.scalable ? requestedFunctionCount : null,
+        sizeCheck,
+        seed: generated.seed,
+        sourceHash: generated.sourceHash,
+        model: generated.model
       };
       
-      // Save to file
-      this.saveDeployment(deployedContract, walletAddress);
-      
-      // Add to in-memory array
-      this.deployedContracts.push(deployedContract);
-      
-      return deployedContract;
+      // options.index: the contract's position among the wallet's deployments, for its CREATE2 salt
+      const deployOptions = { salt: this.create2.saltFor(options.index) };
+      if (proxyKind) {
+        return await this._deployBehindProxy(wallet, build, constructorArgs, recordFields, proxyKind, template.initializer, deployOptions);
+      }
+      return await this._sendDeployment(wallet, build, constructorArgs, recordFields, deployOptions);
+    } catch (error) {
+      logger.error(`Contract deployment failed: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Deploy a contract from a Solidity file in the contracts directory.
+  // spec: { file, contract, args } where args is an array or an object keyed by
+  // constructor parameter name.
+  async deployUserContract(wallet, spec) {
+    try {
+      const contractName = spec.contract || path.basename(spec.file, '.sol');
+      logger.info(`Deploying ${contractName} from ${spec.file} from wallet: ${wallet.getAddress()}`);
+
+      const build = this.contractGenerator.compileFile(spec.file, contractName, this.config.contractsDir);
+      const constructorArgs = this.resolveUserConstructorArgs(build.abi, spec.args);
+
+      const sizeCheck = await this.checkDeployable(wallet, build, constructorArgs);
+      if (!sizeCheck.fits) {
+        throw new Error(`Contract cannot be deployed: ${sizeCheck.reason}`);
+      }
+
+      return await this._sendDeployment(wallet, build, constructorArgs, {
+        template: null,
+        contractName,
+        sourceFile: spec.file,
+        sizeCheck,
+        sourceHash: sha256(build.source)
+      });
     } catch (error) {
       logger.error(`Contract deployment failed: ${error.message}`);
       throw error;
     }
   }
 
-  saveDeployment(deployedContract, walletAddress) {
+  // Seed for a generated contract when none is configured. Under CREATE2 it is derived
+  // from the salt: a random seed changes the bytecode, and with it the address, every run.
+  defaultSeed() {
+    if (this.config.seed !== undefined) {
+      return this.config.seed;
+    }
+    return this.config.create2 && this.config.create2.enabled ? normalizeSeed(`create2:${this.create2.salt}`) : generateSeed();
+  }
+
+  // Proxy kind for a deployment: an explicit option ('transparent', 'uups' or false),
+  // otherwise config.proxy when enabled
+  resolveProxyKind(option) {
+    const proxyConfig = this.config.proxy || {};
+    const kind = option !== undefined ? option : (proxyConfig.enabled ? proxyConfig.kind || 'transparent' : null);
+    if (kind && !PROXY_CONTRACTS[kind]) {
+      throw new Error(`Unknown proxy kind: ${kind}. Use one of: ${Object.keys(PROXY_CONTRACTS).join(', ')}`);
+    }
+    return kind || null;
+  }
+
+  // Deploy the implementation, then an EIP-1967 proxy pointing at it that calls the
+  // template's initializer with the constructor arguments. The proxy record carries the
+  // implementation ABI so interactions go through the proxy address.
+  async _deployBehindProxy(wallet, build, constructorArgs, recordFields, proxyKind, initializer, deployOptions = {}) {
+    const implementation = await this._sendDeployment(wallet, build, constructorArgs, {
+      ...recordFields,
+      role: 'implementation'
+    }, deployOptions);
+    
+    const { proxyContractName, proxyBuild, proxyArgs, admin, initData, initializeSeparately } =
+      this.buildProxyDeployment(wallet, build, constructorArgs, proxyKind, initializer, implementation.address);
+    
+    logger.info(`Deploying ${proxyContractName} for implementation ${implementation.address}`);
+    const proxy = await this._sendDeployment(wallet, proxyBuild, proxyArgs, {
+      ...recordFields,
+      role: 'proxy'
+    }, deployOptions);
+    
+    // A CREATE2 proxy that was already deployed keeps its recorded upgrade history
+    if (proxy.proxy) {
+      return proxy;
+    }
+    
+    if (initializeSeparately && initData !== '0x') {
+      try {
+        const tx = await wallet.sendTransaction({ to: proxy.address, data: initData });
+        await wallet.waitForTransaction(tx);
+      } catch (error) {
+        logger.warn(`Could not initialize proxy ${proxy.address}: ${error.message}`);
+      }
+    }
+    
+    this.registry.update(implementation.address, { proxyAddress: proxy.address });
+    return this.registry.update(proxy.address, {
+      abi: build.abi,
+      proxy: {
+        kind: proxyKind,
+        contractName: proxyContractName,
+        admin,
+        implementation: implementation.address,
+        implementations: [{ address: implementation.address, deployedAt: implementation.deployedAt }]
+      }
+    });
+  }
+
+  // Compile the proxy for an implementation and work out its constructor arguments
+  buildProxyDeployment(wallet, build, constructorArgs, proxyKind, initializer, implementationAddress) {
+    let initData = '0x';
+    if (initializer) {
+      initData = new ethers.Interface(build.abi).encodeFunctionData(initializer, constructorArgs);
+    } else {
+      logger.warn(`${build.contractName} has no initializer, so state behind the proxy starts empty`);
+    }
+    
+    const proxyContractName = PROXY_CONTRACTS[proxyKind];
+    const proxyBuild = this.contractGenerator.compileContract(PROXY_SOURCE, proxyContractName, {
+      sourceName: PROXY_SOURCE_NAME
+    });
+    // Through CREATE2 the factory would be msg.sender in the initializer, so initialize
+    // from the wallet in a separate transaction instead
+    const initializeSeparately = Boolean(this.config.create2 && this.config.create2.enabled);
+    const constructorInitData = initializeSeparately ? '0x' : initData;
+    const admin = proxyKind === 'transparent' ? wallet.getAddress() : null;
+    const proxyArgs = admin
+      ? [implementationAddress, admin, constructorInitData]
+      : [implementationAddress, constructorInitData];
+    
+    return { proxyContractName, proxyBuild, proxyArgs, admin, initData, initializeSeparately };
+  }
+
+  // Dry-run counterpart of deployContract: generate, compile and check the contract and
+  // add its deployment to a DryRunPlanner without sending anything. Returns the
+  // predicted deployment for planning interactions.
+  async planContract(wallet, planner, options = {}) {
+    const templateName = options.template || this.contractGenerator.template.name;
+    const template = this.contractGenerator.getTemplate(templateName);
+    const seed = options.seed !== undefined ? options.seed : this.config.seed;
+    const proxyKind = this.resolveProxyKind(options.proxy);
+    const constructorArgs = options.constructorArgs ||
+      this.contractGenerator.resolveConstructorArgs(this.config, templateName, wallet.getAddress());
+    const label = template.contractName;
+    const salt = this.create2.saltFor(options.index);
+    
+    let prepared;
+    try {
+      prepared = await this.prepareContract(wallet, {
+        templateName,
+        functionCount: options.functionCount || this.config.functionCount || 100,
+        seed,
+        constructorArgs,
+        proxyKind
+      });
+    } catch (error) {
+      planner.addFailure('deploy', label, error.message);
+      return null;
+    }
+    
+    const { build, functionCount, sizeCheck } = prepared;
+    const sizedLabel = template.scalable ? `${label} (${functionCount} functions)` : label;
+    const address = await this._planDeployment(wallet, planner, sizedLabel, build, constructorArgs, sizeCheck.estimatedGas, salt);
+    if (!proxyKind) {
+      return { address, abi: build.abi, planned: true };
+    }
+    
+    const { proxyContractName, proxyBuild, proxyArgs, admin, initData, initializeSeparately } =
+      this.buildProxyDeployment(wallet, build, constructorArgs, proxyKind, template.initializer, address);
+    const proxyAddress = await this._planDeployment(wallet, planner, proxyContractName, proxyBuild, proxyArgs, null, salt);
+    
+    // Calls through the planned proxy need its implementation (and admin) slots set
+    const stateDiff = { [IMPLEMENTATION_SLOT]: ethers.zeroPadValue(address, 32) };
+    if (admin) {
+      stateDiff[ADMIN_SLOT] = ethers.zeroPadValue(admin, 32);
+    }
+    planner.setOverride(proxyAddress, { stateDiff });
+    
+    if (initializeSeparately && initData !== '0x') {
+      await planner.simulate('call', `${template.initializer} on ${proxyContractName}`, { to: proxyAddress, data: initData });
+    }
+    return { address: proxyAddress, abi: build.abi, proxy: { kind: proxyKind }, planned: true };
+  }
+
+  // Dry-run counterpart of deployUserContract
+  async planUserContract(wallet, planner, spec) {
+    const contractName = spec.contract || path.basename(spec.file, '.sol');
+    let build;
+    let constructorArgs;
+    let sizeCheck;
     try {
-      const filename = `${walletAddress.substring(0, 8)}_${deployedContract.address.substring(0, 8)}_${Date.now()}.json`;
-      const filePath = path.join(this.deploymentsDir, filename);
+      build = this.contractGenerator.compileFile(spec.file, contractName, this.config.contractsDir);
+      constructorArgs = this.resolveUserConstructorArgs(build.abi, spec.args);
+      sizeCheck = await this.checkDeployable(wallet, build, constructorArgs);
+    } catch (error) {
+      planner.addFailure('deploy', contractName, error.reason || error.shortMessage || error.message);
+      return null;
+    }
+    if (!sizeCheck.fits) {
+      planner.addFailure('deploy', contractName, sizeCheck.reason);
+      return null;
+    }
+    
+    const address = await this._planDeployment(wallet, planner, contractName, build, constructorArgs, sizeCheck.estimatedGas);
+    return { address, abi: build.abi, planned: true };
+  }
+
+  // Add one contract creation to the planner. CREATE2 deployments are estimated as
+  // plain creations and skipped when the contract is already deployed.
+  async _planDeployment(wallet, planner, label, build, constructorArgs, estimatedGas = null, salt = this.create2.salt) {
+    const factory = new ethers.ContractFactory(build.abi, build.bytecode);
+    const deployTx = await factory.getDeployTransaction(...constructorArgs);
+    
+    if (!(this.config.create2 && this.config.create2.enabled)) {
+      return planner.addDeployment(label, build, deployTx, { estimatedGas });
+    }
+    
+    const address = this.create2.computeAddress(deployTx.data, salt);
+    if (await wallet.getProvider().getCode(address) !== '0x') {
+      planner.addSkipped('deploy', `${label} -> ${address}`, 'already deployed at its CREATE2 address');
+      return address;
+    }
+    return planner.addDeployment(label, build, deployTx, {
+      address,
+      estimatedGas,
+      note: 'CREATE2, estimated as a plain deployment'
+    });
+  }
+
+  // Point a recorded proxy at a new implementation. By default the proxy's template is
+  // regenerated (with options.seed and options.functionCount, or a new random seed);
+  // options.file and options.contract compile a contract from the contracts directory instead.
+  async upgradeProxy(wallet, proxyAddress, options = {}) {
+    const record = this.registry.get(proxyAddress);
+    if (!record || !record.proxy) {
+      throw new Error(`${proxyAddress} is not a recorded proxy deployment`);
+    }
+    const proxyKind = record.proxy.kind;
+    if (proxyKind === 'transparent' && record.proxy.admin.toLowerCase() !== wallet.getAddress().toLowerCase()) {
+      throw new Error(`Only the proxy admin ${record.proxy.admin} can upgrade ${record.address}`);
+    }
+    
+    let build;
+    let constructorArgs;
+    let recordFields;
+    if (options.file) {
+      const contractName = options.contract || path.basename(options.file, '.sol');
+      build = this.contractGenerator.compileFile(options.file, contractName, this.config.contractsDir);
+      constructorArgs = this.resolveUserConstructorArgs(build.abi, options.args || []);
+      recordFields = { template: null, contractName, sourceFile: options.file, sourceHash: sha256(build.source), model: null };
+    } else {
+      if (!record.template) {
+        throw new Error(`${record.address} was not deployed from a template; pass a contract file to upgrade to`);
+      }
+      const template = this.contractGenerator.getTemplate(record.template);
+      const requestedFunctionCount = options.functionCount || record.requestedFunctionCount || this.config.functionCount || 100;
+      constructorArgs = this.contractGenerator.resolveConstructorArgs(this.config, record.template, wallet.getAddress());
+      const prepared = await this.prepareContract(wallet, {
+        templateName: record.template,
+        functionCount: requestedFunctionCount,
+        seed: options.seed,
+        constructorArgs,
+        proxyKind
+      });
+      build = prepared.build;
+      recordFields = {
+        template: record.template,
+        contractName: template.contractName,
+        functionCount: template.scalable ? prepared.functionCount : null,
+        requestedFunctionCount: template.scalable ? requestedFunctionCount : null,
+        seed: prepared.generated.seed,
+        sourceHash: prepared.generated.sourceHash,
+        model: prepared.generated.model
+      };
+    }
+    
+    // A UUPS implementation without the upgrade function would lock the proxy for good
+    if (proxyKind === 'uups' && !build.abi.some(item => item.type === 'function' && item.name === 'upgradeToAndCall')) {
+      throw new Error(`${recordFields.contractName} has no upgradeToAndCall function and would make the UUPS proxy non-upgradeable`);
+    }
+    
+    const implementation = await this._sendDeployment(wallet, build, constructorArgs, {
+      ...recordFields,
+      role: 'implementation',
+      proxyAddress: record.address
+    });
+    
+    logger.info(`Upgrading proxy ${record.address} to implementation ${implementation.address}`);
+    const proxyContract = new ethers.Contract(record.address, [
+      'function upgradeToAndCall(address newImplementation, bytes data)'
+    ]);
+    const tx = await wallet.sendTransaction(
+      await proxyContract.upgradeToAndCall.populateTransaction(implementation.address, '0x')
+    );
+    const receipt = await wallet.waitForTransaction(tx);
+    
+    const current = await this.getProxyImplementation(wallet.getProvider(), record.address, receipt.blockNumber);
+    if (current.toLowerCase() !== implementation.address.toLowerCase()) {
+      throw new Error(`Proxy ${record.address} points at ${current} after the upgrade, expected ${implementation.address}`);
+    }
+    logger.info(`Proxy ${record.address} upgraded in transaction ${receipt.hash}`);
+    
+    return this.registry.update(record.address, {
+      ...recordFields,
+      abi: build.abi,
+      upgradedAt: new Date().toISOString(),
+      proxy: {
+        ...record.proxy,
+        implementation: implementation.address,
+        implementations: [
+          ...record.proxy.implementations,
+          { address: implementation.address, deployedAt: implementation.deployedAt, upgradeTransactionHash: receipt.hash }
+        ]
+      }
+    });
+  }
+
+  // Implementation address stored in a proxy's EIP-1967 slot
+  async getProxyImplementation(provider, proxyAddress, blockTag = 'latest') {
+    const value = await provider.getStorage(proxyAddress, IMPLEMENTATION_SLOT, blockTag);
+    return ethers.getAddress(ethers.dataSlice(value, 12));
+  }
+
+  // Order configured constructor arguments to match the ABI constructor
+  resolveUserConstructorArgs(abi, args) {
+    const constructorAbi = abi.find(item => item.type === 'constructor');
+    const inputs = constructorAbi ? constructorAbi.inputs : [];
+
+    if (Array.isArray(args)) {
+      return args;
+    }
+
+    return inputs.map(input => {
+      if (!args || args[input.name] === undefined) {
+        throw new Error(`Missing constructor argument ${input.name} (${input.type})`);
+      }
+      return args[input.name];
+    });
+  }
+
+  // Send the deployment transaction for a compiled contract and record the result.
+  // options.salt overrides the configured CREATE2 salt.
+  async _sendDeployment(wallet, build, constructorArgs, recordFields, options = {}) {
+    const walletAddress = wallet.getAddress();
+    const { abi, bytecode, compiler } = build;
+    
+    // Create contract factory
+    const factory = new ethers.ContractFactory(abi, bytecode, wallet.getWallet());
+    
+    // Deploy the contract with its constructor arguments
+    logger.info(`Deploying contract with constructor arguments: ${JSON.stringify(constructorArgs)}`);
+    let contractAddress;
+    let receipt;
+    const deployFields = {};
+    
+    if (this.config.create2 && this.config.create2.enabled) {
+      // Deterministic address from the factory, salt and init code
+      const salt = options.salt || this.create2.salt;
+      const deployTx = await factory.getDeployTransaction(...constructorArgs);
+      const result = await this.create2.deploy(wallet, deployTx.data, salt);
       
-      fs.writeFileSync(filePath, JSON.stringify(deployedContract, null, 2));
-      logger.info(`Deployment info saved to ${filePath}`);
+      const existing = result.existing ? this.registry.get(result.address) : null;
+      if (existing && this.isOnCurrentNetwork(existing)) {
+        return this.registry.update(existing.address, { status: 'live' });
+      }
+      
+      contractAddress = result.address;
+      receipt = result.receipt;
+      Object.assign(deployFields, {
+        deployMethod: 'create2',
+        create2Factory: this.create2.factoryAddress,
+        salt
+      });
+    } else {
+      // Sent through the wallet so the fee policy and stuck-transaction watcher apply
+      const deployTx = await factory.getDeployTransaction(...constructorArgs);
+      const tx = await wallet.sendTransaction(deployTx);
+      
+      // Wait for deployment transaction to be mined
+      logger.info(`Waiting for deployment transaction to be mined...`);
+      receipt = await wallet.waitForTransaction(tx);
+      contractAddress = receipt.contractAddress;
+    }
+    
+    logger.info(`Contract deployed at: ${contractAddress}`);
+    if (receipt) {
+      logger.info(`Gas used for deployment: ${receipt.gasUsed.toString()}`);
+    }
+    await this._checkOwner(wallet, contractAddress, abi, constructorArgs, recordFields, receipt ? receipt.blockNumber : 'latest');
+    
+    // Save full build artifacts for explorer verification
+    const encodedConstructorArgs = factory.interface.encodeDeploy(constructorArgs);
+    const artifactPath = this.saveArtifacts(contractAddress, build, encodedConstructorArgs);
+    
+    // Save deployed contract info
+    const { chainId, genesisHash } = await getNetworkIdentity(wallet.getProvider());
+    const deployedContract = {
+      address: contractAddress,
+      ...recordFields,
+      ...deployFields,
+      constructorArgs,
+      abi,
+      wallet: walletAddress,
+      chainId,
+      genesisHash,
+      tags: this.config.tags || [],
+      deployedAt: new Date().toISOString(),
+      // No receipt when a CREATE2 contract was already on chain
+      transactionHash: receipt ? receipt.hash : null,
+      blockNumber: receipt ? receipt.blockNumber : null,
+      blockHash: receipt ? receipt.blockHash : null,
+      gasUsed: receipt ? receipt.gasUsed.toString() : null,
+      compiler,
+      artifact: artifactPath
+    };
+    
+    // Save to the deployment registry
+    return this.saveDeployment(deployedContract);
+  }
+
+  // Templates take their owner as a constructor argument, since under CREATE2 the
+  // constructor's msg.sender is the factory. Check owner() holds it. Contracts from
+  // files may still take msg.sender, so under CREATE2 their owner is only warned about.
+  async _checkOwner(wallet, address, abi, constructorArgs, recordFields, blockTag) {
+    const hasOwner = abi.some(item => item.type === 'function' && item.name === 'owner' && item.inputs.length === 0);
+    const template = recordFields.template ? this.contractGenerator.getTemplate(recordFields.template) : null;
+    const ownerIndex = template ? template.constructorArgs.findIndex(arg => arg.name === 'owner') : -1;
+    const create2 = Boolean(this.config.create2 && this.config.create2.enabled);
+    if (!hasOwner || (ownerIndex === -1 && !create2)) {
+      return;
+    }
+
+    const expected = ownerIndex === -1 ? wallet.getAddress() : constructorArgs[ownerIndex];
+    const contract = new ethers.Contract(address, ['function owner() view returns (address)'], wallet.getProvider());
+    const owner = await contract.owner({ blockTag });
+    if (owner.toLowerCase() === expected.toLowerCase()) {
+      return;
+    }
+    const message = `owner() of ${address} is ${owner}, expected ${expected}`;
+    if (ownerIndex !== -1) {
+      throw new Error(message);
+    }
+    logger.warn(`${message}; under CREATE2 the constructor's msg.sender is the factory, so pass the owner in explicitly`);
+  }
+
+  saveDeployment(deployedContract) {
+    try {
+      const record = this.registry.upsert(deployedContract);
+      logger.info(`Deployment info saved to ${this.registry.filePath}`);
+      return record;
     } catch (error) {
       logger.error(`Failed to save deployment info: ${error.message}`);
+      return deployedContract;
+    }
+  }
+
+  // Generate and compile a contract and check that it can be deployed. When the contract
+  // exceeds the size or gas limits and its template scales with functionCount, search for
+  // the largest function count that fits instead of failing on chain.
+  async prepareContract(wallet, { templateName, functionCount, seed, constructorArgs, proxyKind = null }) {
+    const template = this.contractGenerator.getTemplate(templateName);
+    const compileWith = (count) => {
+      const generated = this.contractGenerator.generate(templateName, { functionCount: count, seed, proxyKind });
+      return {
+        generated,
+        build: this.contractGenerator.compileContract(generated.source, template.contractName),
+        functionCount: count
+      };
+    };
+
+    const candidate = compileWith(functionCount);
+    // Later probes must reuse the seed so each smaller contract is a prefix of the original
+    seed = candidate.generated.seed;
+    const sizeCheck = await this.checkDeployable(wallet, candidate.build, constructorArgs);
+    if (sizeCheck.fits) {
+      return { ...candidate, sizeCheck };
+    }
+
+    logger.warn(`Contract rejected before deployment: ${sizeCheck.reason}`);
+    if (!template.scalable || this.config.autoFit === false) {
+      throw new Error(`Contract cannot be deployed: ${sizeCheck.reason}`);
+    }
+
+    // Binary search for the largest function count that fits
+    let low = 1;
+    let high = functionCount - 1;
+    let best = null;
+    while (low <= high) {
+      const mid = Math.floor((low + high) / 2);
+      const probe = compileWith(mid);
+      const probeCheck = await this.checkDeployable(wallet, probe.build, constructorArgs);
+      logger.info(`Function count ${mid}: ${probeCheck.fits ? 'fits' : probeCheck.reason}`);
+      if (probeCheck.fits) {
+        best = { ...probe, sizeCheck: probeCheck };
+        low = mid + 1;
+      } else {
+        high = mid - 1;
+      }
+    }
+
+    if (!best) {
+      throw new Error(`No function count fits: ${sizeCheck.reason}`);
+    }
+
+    logger.info(`Reduced function count from ${functionCount} to ${best.functionCount} to fit (${sizeCheck.reason})`);
+    best.sizeCheck.rejectedReason = sizeCheck.reason;
+    return best;
+  }
+
+  // Check compiled bytecode against the EIP-170 runtime size limit, the EIP-3860 initcode
+  // limit and the current block gas limit without sending a transaction
+  async checkDeployable(wallet, build, constructorArgs) {
+    const sizes = this.contractGenerator.measureSize(build);
+    const result = { fits: false, ...sizes };
+
+    if (sizes.runtimeSize > MAX_RUNTIME_SIZE) {
+      result.reason = `runtime bytecode is ${sizes.runtimeSize} bytes, over the EIP-170 limit of ${MAX_RUNTIME_SIZE} bytes`;
+      return result;
+    }
+    if (sizes.initcodeSize > MAX_INITCODE_SIZE) {
+      result.reason = `initcode is ${sizes.initcodeSize} bytes, over the EIP-3860 limit of ${MAX_INITCODE_SIZE} bytes`;
+      return result;
+    }
+
+    const provider = wallet.getProvider();
+    const factory = new ethers.ContractFactory(build.abi, build.bytecode, wallet.getWallet());
+    const deployTx = await factory.getDeployTransaction(...constructorArgs);
+    const [estimatedGas, block] = await Promise.all([
+      provider.estimateGas({ ...deployTx, from: wallet.getAddress() }),
+      provider.getBlock('latest')
+    ]);
+
+    result.estimatedGas = estimatedGas.toString();
+    result.blockGasLimit = block.gasLimit.toString();
+    if (estimatedGas > block.gasLimit) {
+      result.reason = `estimated deploy gas ${estimatedGas} exceeds the block gas limit of ${block.gasLimit}`;
+      return result;
+    }
+
+    result.fits = true;
+    return result;
+  }
+
+  // Write the complete build output for a deployed contract and return its path
+  // relative to the project directory
+  saveArtifacts(contractAddress, build, encodedConstructorArgs) {
+    try {
+      const filePath = path.join(this.artifactsDir, `${contractAddress}.json`);
+      const artifact = {
+        address: contractAddress,
+        ...build,
+        constructorArguments: encodedConstructorArgs.replace(/^0x/, '')
+      };
+
+      fs.writeFileSync(filePath, JSON.stringify(artifact, null, 2));
+      logger.info(`Build artifacts saved to ${filePath}`);
+      return path.relative(process.cwd(), filePath);
+    } catch (error) {
+      logger.error(`Failed to save build artifacts: ${error.message}`);
+      return null;
+    }
+  }
+
+  loadArtifacts(deployedContract) {
+    if (!deployedContract.artifact) {
+      return null;
+    }
+
+    const filePath = path.resolve(process.cwd(), deployedContract.artifact);
+    if (!fs.existsSync(filePath)) {
+      return null;
+    }
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  }
+
+  updateDeployment(contractAddress, changes) {
+    try {
+      return this.registry.update(contractAddress, changes);
+    } catch (error) {
+      logger.error(`Failed to update deployment info for ${contractAddress}: ${error.message}`);
+      return null;
     }
   }
 
   getDeployedContracts() {
-    return this.deployedContracts;
+    return this.registry.all();
   }
 
+  // Load the deployment registry, importing per-file records from earlier versions
   loadPreviousDeployments() {
     try {
-      const files = fs.readdirSync(this.deploymentsDir);
-      
-      for (const file of files) {
-        if (file.endsWith('.json')) {
-          const filePath = path.join(this.deploymentsDir, file);
-          const data = fs.readFileSync(filePath, 'utf8');
-          const contract = JSON.parse(data);
-          this.deployedContracts.push(contract);
-        }
-      }
-      
-      logger.info(`Loaded ${this.deployedContracts.length} previous deployments`);
-      return this.deployedContracts;
+      const deployedContracts = this.registry.load();
+      logger.info(`Loaded ${deployedContracts.length} previous deployments`);
+      return deployedContracts;
     } catch (error) {
       logger.error(`Failed to load previous deployments: ${error.message}`);
       return [];
     }
   }
   
+  // Live deployments by a wallet on the current network (see useNetwork). Implementations
+  // behind a proxy are left out; they are used through their proxy's record.
   getDeployedContractsByWallet(walletAddress) {
-    return this.deployedContracts.filter(contract => 
-      contract.wallet.toLowerCase() === walletAddress.toLowerCase()
+    return this.registry.find({ wallet: walletAddress }).filter(contract =>
+      this.isOnCurrentNetwork(contract) && !['dead', 'orphaned'].includes(contract.status) && contract.role !== 'implementation'
+    );
+  }
+
+  // Identify the network deployments are looked up for. Records from other chains, or
+  // from an earlier incarnation of this chain before a reset, are ignored from then on.
+  async useNetwork(provider, expectedChainId = null) {
+    this.network = await getNetworkIdentity(provider);
+
+    if (expectedChainId && Number(expectedChainId) !== this.network.chainId) {
+      logger.warn(`RPC reports chain ID ${this.network.chainId} but config.network.chainId is ${expectedChainId}`);
+    }
+
+    const stale = this.registry.all().filter(contract =>
+      contract.chainId === this.network.chainId && !this.isOnCurrentNetwork(contract)
+    );
+    if (stale.length > 0) {
+      logger.warn(`${stale.length} deployments on chain ${this.network.chainId} predate a network reset and will be ignored`);
+    }
+
+    return this.network;
+  }
+
+  isOnCurrentNetwork(contract) {
+    if (!this.network) {
+      return true;
+    }
+    if (contract.chainId !== this.network.chainId) {
+      return false;
+    }
+    return !contract.genesisHash || contract.genesisHash === this.network.genesisHash;
+  }
+
+  // Call getCode for every deployment on the current network and mark contracts without
+  // code as dead, or remove them with prune. Records without a chain ID (migrated from
+  // older versions) are adopted by the current network when their code is found.
+  async checkLiveness(provider, { prune = false } = {}) {
+    if (!this.network) {
+      await this.useNetwork(provider);
+    }
+
+    // Orphaned deployments have no code either, but keep their more specific status
+    const candidates = this.registry.all().filter(contract =>
+      !['dead', 'orphaned'].includes(contract.status) && (contract.chainId === null || this.isOnCurrentNetwork(contract))
+    );
+    const summary = { checked: candidates.length, live: 0, dead: 0, pruned: 0, adopted: 0 };
+    const checkedAt = new Date().toISOString();
+
+    for (const contract of candidates) {
+      let code;
+      try {
+        code = await provider.getCode(contract.address);
+      } catch (error) {
+        logger.warn(`Could not check ${contract.address}: ${error.message}`);
+        continue;
+      }
+
+      if (code && code !== '0x') {
+        summary.live++;
+        if (contract.chainId === null) {
+          this.registry.update(contract.address, { ...this.network, status: 'live', checkedAt }, { persist: false });
+          summary.adopted++;
+        }
+        continue;
+      }
+
+      // Unknown-network records without code most likely belong to another chain
+      if (contract.chainId === null) {
+        continue;
+      }
+
+      summary.dead++;
+      if (prune) {
+        this.registry.remove(contract.address, { persist: false });
+        summary.pruned++;
+      } else {
+        this.registry.update(contract.address, { status: 'dead', checkedAt }, { persist: false });
+      }
+      logger.warn(`No code at ${contract.address} (deployed ${contract.deployedAt}); ${prune ? 'pruned' : 'marked dead'}`);
+    }
+
+    this.registry.save();
+    logger.info(`Liveness check: ${summary.live} live, ${summary.dead} dead${prune ? ` (${summary.pruned} pruned)` : ''}, ${summary.adopted} adopted from unknown network`);
+    return summary;
+  }
+
+  // Check that deployments on the current network mined in the last `depth` blocks (all
+  // with depth 0) are still in the block recorded for them. Deployments a reorg dropped
+  // are marked orphaned; ones mined again in another block get that block recorded.
+  async checkReorgs(provider, { depth = 0 } = {}) {
+    if (!this.network) {
+      await this.useNetwork(provider);
+    }
+
+    const latest = await provider.getBlockNumber();
+    const fromBlock = depth > 0 ? latest - depth : 0;
+    const candidates = this.registry.all().filter(contract =>
+      this.isOnCurrentNetwork(contract) && contract.blockHash && contract.blockNumber >= fromBlock
     );
+    const summary = { checked: candidates.length, reincluded: 0, orphaned: 0 };
+    const checkedAt = new Date().toISOString();
+
+    for (const contract of candidates) {
+      let inclusion;
+      try {
+        inclusion = await checkInclusion(provider, contract);
+      } catch (error) {
+        logger.warn(`Could not check the deployment block of ${contract.address}: ${error.message}`);
+        continue;
+      }
+
+      if (inclusion.status === 'orphaned') {
+        summary.orphaned++;
+        if (contract.status !== 'orphaned') {
+          this.registry.update(contract.address, { status: 'orphaned', checkedAt }, { persist: false });
+          logger.warn(`Deployment of ${contract.address} in block ${contract.blockNumber} was dropped by a reorg; marked orphaned`);
+        }
+      } else if (inclusion.status === 'reincluded') {
+        summary.reincluded++;
+        logger.warn(`Deployment of ${contract.address} moved from block ${contract.blockNumber} to ${inclusion.blockNumber} in a reorg`);
+        this.registry.update(contract.address, {
+          blockNumber: inclusion.blockNumber,
+          blockHash: inclusion.blockHash,
+          status: contract.status === 'orphaned' ? 'live' : contract.status,
+          checkedAt
+        }, { persist: false });
+      } else if (contract.status === 'orphaned') {
+        // The chain switched back to the fork the deployment was mined on
+        this.registry.update(contract.address, { status: 'live', checkedAt }, { persist: false });
+      }
+    }
+
+    this.registry.save();
+    logger.info(`Reorg check: ${summary.checked} deployments checked, ${summary.reincluded} moved to another block, ${summary.orphaned} orphaned`);
+    return summary;
+  }
+
+  // Look up deployments by any combination of wallet, chainId, template and tag
+  findDeployments(criteria) {
+    return this.registry.find(criteria);
+  }
+
+  getDeployment(contractAddress) {
+    return this.registry.get(contractAddress);
   }
 }
 
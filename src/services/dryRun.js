@@ -0,0 +1,191 @@
+const { ethers } = require('ethers');
+const logger = require('../utils/logger');
+const { describeError } = require('../utils/errors');
+
+// Collects the transactions a wallet's run would send and predicts their gas, cost and
+// reverts with staticCall (eth_call) and estimateGas, without sending anything.
+// Contracts the run would deploy don't exist yet, so calls to them run against their
+// runtime code given as a state override, with empty storage. Nodes that don't accept
+// overrides for eth_estimateGas leave those calls without a gas figure, which makes the
+// totals a lower bound.
+class DryRunPlanner {
+  constructor(wallet) {
+    this.wallet = wallet;
+    this.provider = wallet.getProvider();
+    this.entries = [];
+    this.overrides = {};
+    this.nonce = null;
+  }
+
+  // Address of the next contract created with CREATE from the wallet
+  async nextCreateAddress() {
+    if (this.nonce === null) {
+      this.nonce = await this.provider.getTransactionCount(this.wallet.getAddress(), 'pending');
+    }
+    return ethers.getCreateAddress({ from: this.wallet.getAddress(), nonce: this.nonce++ });
+  }
+
+  // Give a planned contract code (and storage) for the calls simulated after it
+  setOverride(address, override) {
+    const key = address.toLowerCase();
+    this.overrides[key] = { ...(this.overrides[key] || {}), ...override };
+  }
+
+  isPlanned(address) {
+    return Boolean(address && this.overrides[address.toLowerCase()]);
+  }
+
+  // Add a deployment at a known or predicted address. The gas comes from estimatedGas
+  // when the deployer already estimated it, otherwise deployTx is simulated.
+  async addDeployment(label, build, deployTx, { address = null, estimatedGas = null, note = null } = {}) {
+    const contractAddress = address || await this.nextCreateAddress();
+    let entry;
+    if (estimatedGas !== null && estimatedGas !== undefined) {
+      entry = { kind: 'deploy', label, to: null, gas: BigInt(estimatedGas), revert: null };
+      this.entries.push(entry);
+    } else {
+      entry = await this.simulate('deploy', label, deployTx);
+    }
+
+    entry.address = contractAddress;
+    entry.note = note;
+    this.setOverride(contractAddress, { code: ethers.hexlify(`0x${build.deployedBytecode.replace(/^0x/, '')}`) });
+    return contractAddress;
+  }
+
+  // A transaction that won't be sent, e.g. a deployment skipped because the contract exists
+  addSkipped(kind, label, reason) {
+    this.entries.push({ kind, label, to: null, gas: 0n, revert: null, skipped: reason });
+  }
+
+  // A transaction known to fail without simulating it
+  addFailure(kind, label, reason) {
+    this.entries.push({ kind, label, to: null, gas: null, revert: reason });
+  }
+
+  // Simulate the setup calls and random interactions, or the scenario steps,
+  // InteractionService.interact would make with a contract. Each call runs against the
+  // current state, not the state left by the calls before it.
+  async addInteractions(interactionService, contractInfo, interactionCount) {
+    const contractInterface = new ethers.Interface(contractInfo.abi);
+    const { setup, calls } = interactionService.planInteractions(this.wallet, contractInfo, interactionCount);
+
+    for (const call of [...setup, ...calls]) {
+      const label = `${call.function}(${call.args.join(', ')})`;
+      let data;
+      try {
+        data = contractInterface.encodeFunctionData(call.function, call.args);
+      } catch (error) {
+        this.addFailure('call', label, `cannot encode arguments: ${error.shortMessage || error.message}`);
+        continue;
+      }
+      await this.simulate('call', label, { to: contractInfo.address, data, value: call.value || 0, from: call.from });
+    }
+  }
+
+  // staticCall the transaction to predict a revert, then estimate its gas. Overrides are
+  // only applied to creations and calls to planned contracts.
+  async simulate(kind, label, tx) {
+    const request = { ...tx, from: tx.from || this.wallet.getAddress() };
+    const withOverrides = Object.keys(this.overrides).length > 0 && (!tx.to || this.isPlanned(tx.to));
+    const entry = { kind, label, to: tx.to || null, gas: null, revert: null, approximate: Boolean(tx.to && withOverrides) };
+    this.entries.push(entry);
+
+    const rpcRequest = this.provider.getRpcTransaction(request);
+    try {
+      if (withOverrides) {
+        await this.provider.send('eth_call', [rpcRequest, 'latest', this.overrides]);
+      } else {
+        await this.provider.call(request);
+      }
+    } catch (error) {
+      entry.revert = describeError(error).reason;
+      return entry;
+    }
+
+    try {
+      entry.gas = withOverrides
+        ? BigInt(await this.provider.send('eth_estimateGas', [rpcRequest, 'latest', this.overrides]))
+        : await this.provider.estimateGas(request);
+    } catch (error) {
+      const message = error.shortMessage || error.message;
+      entry.gasError = withOverrides ? `estimateGas with state overrides failed: ${message}` : message;
+    }
+    return entry;
+  }
+
+  // Log the plan with totals at current fee levels and return the summary
+  async report() {
+    const address = this.wallet.getAddress();
+    const [fees, block, balance] = await Promise.all([
+      this.wallet.getFeeOverrides(),
+      this.provider.getBlock('latest'),
+      this.provider.getBalance(address)
+    ]);
+
+    // Expected price is what the wallet's fee policy pays at the current base fee, the
+    // maximum is what the policy allows
+    let gasPrice = fees.gasPrice;
+    let maxFeePerGas = fees.gasPrice;
+    if (fees.type === 2) {
+      maxFeePerGas = fees.maxFeePerGas;
+      const expected = block.baseFeePerGas + fees.maxPriorityFeePerGas;
+      gasPrice = expected < maxFeePerGas ? expected : maxFeePerGas;
+    }
+    // Some EIP-1559 nodes report no legacy gas price; the cost is then left out
+    const priced = gasPrice !== null && gasPrice !== undefined && maxFeePerGas !== null && maxFeePerGas !== undefined;
+
+    logger.info(`\n${'='.repeat(50)}`);
+    logger.info(`Dry run for wallet ${address}`);
+    logger.info(`${'='.repeat(50)}`);
+
+    for (const entry of this.entries) {
+      const target = entry.address ? ` -> ${entry.address}` : entry.to ? ` on ${entry.to}` : '';
+      let outcome;
+      if (entry.skipped) {
+        outcome = `skipped (${entry.skipped})`;
+      } else if (entry.revert) {
+        outcome = `REVERT: ${entry.revert}`;
+      } else if (entry.gas === null) {
+        outcome = `gas not estimated (${entry.gasError})`;
+      } else {
+        outcome = `gas ${entry.gas}`;
+      }
+      const notes = [entry.approximate ? 'simulated against undeployed code' : null, entry.note].filter(Boolean);
+      logger.info(`  ${entry.kind.padEnd(8)} ${entry.label}${target}: ${outcome}${notes.length > 0 ? ` [${notes.join('; ')}]` : ''}`);
+    }
+
+    const sent = this.entries.filter(entry => !entry.skipped);
+    const reverts = sent.filter(entry => entry.revert);
+    const unestimated = sent.filter(entry => !entry.revert && entry.gas === null);
+    const totalGas = sent.reduce((sum, entry) => sum + (entry.gas || 0n), 0n);
+    const summary = {
+      wallet: address,
+      transactions: sent.length,
+      predictedReverts: reverts.length,
+      unestimated: unestimated.length,
+      totalGas: totalGas.toString(),
+      gasPrice: priced ? gasPrice.toString() : null,
+      maxFeePerGas: priced ? maxFeePerGas.toString() : null,
+      expectedCost: priced ? ethers.formatEther(totalGas * gasPrice) : null,
+      maxCost: priced ? ethers.formatEther(totalGas * maxFeePerGas) : null,
+      balance: ethers.formatEther(balance)
+    };
+
+    logger.info(`Transactions: ${summary.transactions}, predicted reverts: ${summary.predictedReverts}${unestimated.length > 0 ? `, without a gas estimate: ${unestimated.length}` : ''}`);
+    logger.info(`Expected gas: ${summary.totalGas}${unestimated.length > 0 ? ' (lower bound)' : ''}`);
+    if (priced) {
+      logger.info(`Expected cost: ${summary.expectedCost} ETH at ${ethers.formatUnits(gasPrice, 'gwei')} gwei (up to ${summary.maxCost} ETH at max fee ${ethers.formatUnits(maxFeePerGas, 'gwei')} gwei)`);
+    } else {
+      logger.warn('Expected cost unknown: the node reports no gas price (set transactions.fees.gasPrice or use EIP-1559 fees)');
+    }
+    logger.info(`Balance: ${summary.balance} ETH`);
+
+    if (priced && balance < totalGas * maxFeePerGas) {
+      logger.warn(`Balance of ${summary.balance} ETH can't cover the plan's maximum cost of ${summary.maxCost} ETH`);
+    }
+    return summary;
+  }
+}
+
+module.exports = DryRunPlanner;
@@ -0,0 +1,107 @@
+const axios = require('axios');
+const logger = require('../utils/logger');
+
+// Client for the Etherscan-compatible API exposed by Blockscout explorers at <explorerUrl>/api.
+// apiUrl overrides the derived endpoint, e.g. to point at a local mock server.
+class ExplorerClient {
+  constructor(config = {}) {
+    this.apiUrl = config.apiUrl || `${String(config.explorerUrl || '').replace(/\/+$/, '')}/api`;
+    this.pollInterval = config.pollInterval || 5000;
+    this.maxPolls = config.maxPolls || 24;
+    this.client = axios.create({
+      timeout: config.timeout || 30000
+    });
+  }
+
+  async _request(method, params) {
+    const response = method === 'get'
+      ? await this.client.get(this.apiUrl, { params })
+      : await this.client.post(this.apiUrl, new URLSearchParams(params).toString(), {
+          headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+        });
+
+    const data = response.data;
+    if (!data || typeof data !== 'object') {
+      throw new Error(`Unexpected explorer response: ${JSON.stringify(data)}`);
+    }
+    return data;
+  }
+
+  // ABI of a contract verified on the explorer, as a JSON ABI array
+  async getAbi(address) {
+    const data = await this._request('get', {
+      module: 'contract',
+      action: 'getabi',
+      address
+    });
+
+    if (data.status !== '1') {
+      throw new Error(`Explorer has no ABI for ${address}: ${data.result || data.message}`);
+    }
+    return JSON.parse(data.result);
+  }
+
+  // Submit a standard-JSON input for verification and return the verification GUID
+  async submitVerification({ address, contractName, sourceName, compilerVersion, standardJsonInput, constructorArguments }) {
+    logger.info(`Submitting ${contractName} at ${address} for verification to ${this.apiUrl}`);
+
+    const data = await this._request('post', {
+      module: 'contract',
+      action: 'verifysourcecode',
+      codeformat: 'solidity-standard-json-input',
+      contractaddress: address,
+      contractname: `${sourceName}:${contractName}`,
+      compilerversion: compilerVersion,
+      sourceCode: JSON.stringify(standardJsonInput),
+      // Etherscan's API spells this parameter "Arguements"
+      constructorArguements: constructorArguments || ''
+    });
+
+    if (data.status !== '1') {
+      if (String(data.result).toLowerCase().includes('already verified')) {
+        return null;
+      }
+      throw new Error(`Verification submission rejected: ${data.result || data.message}`);
+    }
+
+    return data.result;
+  }
+
+  async checkVerificationStatus(guid) {
+    const data = await this._request('get', {
+      module: 'contract',
+      action: 'checkverifystatus',
+      guid
+    });
+
+    const result = String(data.result);
+    if (data.status === '1' || result.toLowerCase().includes('already verified')) {
+      return { state: 'verified', message: result };
+    }
+    if (result.toLowerCase().includes('pending')) {
+      return { state: 'pending', message: result };
+    }
+    return { state: 'failed', message: result };
+  }
+
+  // Submit a verification and poll until the explorer reports a final result
+  async verify(request) {
+    const guid = await this.submitVerification(request);
+    if (!guid) {
+      return { state: 'verified', message: 'Already verified' };
+    }
+
+    for (let poll = 0; poll < this.maxPolls; poll++) {
+      await new Promise(resolve => setTimeout(resolve, this.pollInterval));
+      const status = await this.checkVerificationStatus(guid);
+      if (status.state !== 'pending') {
+        return status;
+      }
+      logger.info(`Verification ${guid} still pending...`);
+    }
+
+    return { state: 'pending', message: `Verification ${guid} still pending after ${this.maxPolls} checks` };
+  }
+}
+
+module.exports = ExplorerClient;
@@ -0,0 +1,81 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const logger = require('../utils/logger');
+
+// Contracts deployed by other tools or teammates, given by address (interaction.external
+// in the config, or --address on the command line). Their ABI comes from a file or, for
+// contracts verified on the explorer, from the explorer's getabi endpoint. They become
+// records like the deployer's, marked external, so InteractionService can call them.
+class ExternalContractLoader {
+  // explorer: an ExplorerClient, or any object with getAbi(address)
+  constructor(explorer = null) {
+    this.explorer = explorer;
+  }
+
+  // Records for targets of the form { address, abi, name, functions: { allow, deny } }.
+  // Targets whose ABI can't be loaded or that have no code on chain are skipped.
+  async load(targets, provider) {
+    const contracts = [];
+    for (const target of targets) {
+      try {
+        contracts.push(await this.loadTarget(target, provider));
+      } catch (error) {
+        logger.error(`Skipping external contract ${target.address}: ${error.message}`);
+      }
+    }
+    return contracts;
+  }
+
+  async loadTarget(target, provider) {
+    if (!target.address || !ethers.isAddress(target.address)) {
+      throw new Error(`invalid address ${target.address}`);
+    }
+    const address = ethers.getAddress(target.address);
+
+    const code = await provider.getCode(address);
+    if (code === '0x') {
+      throw new Error('no contract code at this address');
+    }
+
+    let abi;
+    if (target.abi) {
+      abi = this.readAbiFile(target.abi);
+    } else if (this.explorer) {
+      abi = await this.explorer.getAbi(address);
+      logger.info(`Fetched the ABI of ${address} from the explorer`);
+    } else {
+      throw new Error('no ABI file given and no explorer configured');
+    }
+
+    const functions = target.functions || {};
+    logger.info(`Loaded external contract ${target.name || address} with ${abi.filter(item => item.type === 'function').length} functions`);
+    return {
+      address,
+      name: target.name || null,
+      abi,
+      external: true,
+      template: null,
+      functions: { allow: functions.allow || [], deny: functions.deny || [] }
+    };
+  }
+
+  // Read an ABI from a JSON file relative to the working directory: a JSON ABI, an
+  // artifact with an abi field (Hardhat, Foundry, this tool's artifacts) or a list of
+  // human-readable signatures. Returned as a JSON ABI array.
+  readAbiFile(file) {
+    const filePath = path.resolve(process.cwd(), file);
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`ABI file not found: ${filePath}`);
+    }
+
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const abi = Array.isArray(data) ? data : data.abi;
+    if (!Array.isArray(abi)) {
+      throw new Error(`${file} holds neither an ABI nor an artifact with an abi field`);
+    }
+    return JSON.parse(new ethers.Interface(abi).formatJson());
+  }
+}
+
+module.exports = ExternalContractLoader;
@@ -2,21 +2,94 @@ const { ethers } = require('ethers');
 const logger = require('../utils/logger');
 const fs = require('fs');
 const path = require('path');
+const { getNetworkIdentity, checkInclusion } = require('../utils/network');
+const { describeError } = require('../utils/errors');
+const { decodeEvents, countEvents } = require('../utils/events');
+const ArgumentGenerator = require('./arguments');
+const CoverageStore = require('./coverage');
+const { outcomeOf } = CoverageStore;
+const { loadScenario, resolvePlaceholders, normalizeValue, checkReturns, checkEvents, checkRevert } = require('./scenario');
+
+// Calls made before the random interactions to avoid common errors, per template: set
+// an initial value, then push some keys (through a generated push function, see
+// _getSetupCalls) to avoid "No keys to remove" errors
+const STATE_SETUP_CALLS = {
+  multiFunction: [{ function: 'setValue', args: [1000] }]
+};
+const SETUP_KEYS = ['init1', 'init2', 'init3', 'init4', 'init5'];
+
+// Pre-flight simulations that revert in a row before a function is left out of the pool
+const REVERTING_THRESHOLD = 3;
+
+// How random mode picks a function from its pool: uniformly, or weighted towards the
+// functions with the fewest calls so far (see ./coverage)
+const SELECTION_MODES = ['uniform', 'coverage'];
 
 class InteractionService {
   constructor(config) {
     this.config = config;
     this.delay = config.delay || 1000;
     this.interactions = [];
+    // Built-in random mode or the steps of a scenario file (see ./scenario)
+    this.scenario = loadScenario(config.scenario || 'random');
+    // Every wallet of the run, for scenario steps sent from another wallet
+    this.wallets = [];
+    // Events emitted by the interactions of this run, by name
+    this.eventCounts = {};
+    this.preflight = { enabled: true, argumentAttempts: 3, functionAttempts: 5, ...(config.preflight || {}) };
+    this.modelCheck = { enabled: true, ...(config.modelCheck || {}) };
+    this.argumentGenerator = new ArgumentGenerator(config.arguments);
+    this.readPhase = { enabled: false, calls: 10, ...(config.readPhase || {}) };
+    // Functions random mode may call, by name or signature, for every contract
+    this.functionFilter = { allow: [], deny: [], ...(config.functions || {}) };
+    this.selection = config.selection || 'uniform';
+    if (!SELECTION_MODES.includes(this.selection)) {
+      throw new Error(`Unknown interaction.selection ${this.selection}; use one of ${SELECTION_MODES.join(', ')}`);
+    }
+    // Creates the reference models of template contracts (see useGenerator)
+    this.contractGenerator = null;
+    // Chain ID and genesis hash saved with the results, for the reorg check
+    this.network = null;
     this.interactionsDir = path.join(process.cwd(), 'interactions');
     
     // Create interactions directory if it doesn't exist
     if (!fs.existsSync(this.interactionsDir)) {
       fs.mkdirSync(this.interactionsDir);
     }
+    // Per-function coverage of every contract, across runs
+    this.coverage = new CoverageStore(this.interactionsDir);
+  }
+
+  useWallets(wallets) {
+    this.wallets = wallets;
+  }
+
+  // The deployer's contract generator, whose templates provide the reference models
+  // for differential state checks
+  useGenerator(contractGenerator) {
+    this.contractGenerator = contractGenerator;
+  }
+
+  // Interactions a contract gets: the configured count in random mode, or the steps of
+  // the scenario
+  getInteractionCount(configuredCount) {
+    return this.scenario.builtin ? configuredCount : this.scenario.steps.length;
+  }
+
+  // Run the configured scenario against a contract. options.onSent(interactionId,
+  // response) and options.onProgress(result) follow each interaction that counts towards
+  // interactionCount, e.g. for the run journal.
+  async interact(wallet, contractInfo, interactionCount, options = {}) {
+    if (!this.network) {
+      this.network = await getNetworkIdentity(wallet.getProvider());
+    }
+    if (this.scenario.builtin) {
+      return this._interactRandomly(wallet, contractInfo, interactionCount, options);
+    }
+    return this._runScenario(wallet, contractInfo, interactionCount, options);
   }
 
-  async interact(wallet, contractInfo, interactionCount) {
+  async _interactRandomly(wallet, contractInfo, interactionCount, options = {}) {
     try {
       const walletAddress = wallet.getAddress();
       logger.info(`Starting ${interactionCount} interactions with contract ${contractInfo.address} from wallet ${walletAddress}`);
@@ -26,204 +99,867 @@ class InteractionService {
         contractInfo.abi,
         wallet.getWallet()
       );
+      this.coverage.track(contractInfo);
 
       const results = [];
       let successCount = 0;
       
+      // Differential checks against the template's reference model. The model follows
+      // the calls in the order they are mined, so they are sent one at a time.
+      const model = this._createModel(contractInfo, wallet);
+      let divergenceCount = 0;
+      const checkModel = async (label, prediction, outcome) => {
+        const divergences = await this._checkModel(model, contract, prediction, outcome);
+        for (const divergence of divergences) {
+          logger.error(`${label} diverged from the reference model: ${divergence}`);
+        }
+        divergenceCount += divergences.length;
+        return { passed: divergences.length === 0, divergences };
+      };
+
       // Initialize contract state to avoid common errors
+      const setupCalls = this._getSetupCalls(contractInfo);
+      let setupPrediction = null;
+      let setupFunction = null;
       try {
-        // First set initial values
-        logger.info("Initializing contract state...");
-        const setValueTx = await contract.setValue(1000, { value: 0 });
-        await setValueTx.wait();
-        
-        // Push some keys to the array to avoid "No keys to remove" errors
-        const keyNames = ["init1", "init2", "init3", "init4", "init5"];
-        for (const key of keyNames) {
-          const setTx = await contract.setPublicNumber(key, 500, { value: 0 });
-          await setTx.wait();
+        if (setupCalls.length > 0) {
+          logger.info("Initializing contract state...");
+        }
+        for (const call of setupCalls) {
+          const setupTx = await contract[call.function].populateTransaction(...call.args, { value: 0 });
+          setupPrediction = await this._predictCall(model, contract, call.function, call.args);
+          setupFunction = contract.interface.getFunction(call.function);
+          this.coverage.recordCall(contractInfo.address, setupFunction);
+          const receipt = await wallet.waitForTransaction(await wallet.sendTransaction(setupTx));
+          this.coverage.recordOutcome(contractInfo.address, setupFunction, 'success');
+          setupFunction = null;
+          if (setupPrediction) {
+            await checkModel(`Setup call ${call.function}`, setupPrediction, { receipt });
+            setupPrediction = null;
+          }
+        }
+        if (setupCalls.length > 0) {
+          logger.info("Contract state initialized successfully");
         }
-        logger.info("Contract state initialized successfully");
       } catch (error) {
+        if (setupPrediction) {
+          model.restore(setupPrediction.before);
+        }
+        if (setupFunction) {
+          const { errorClass, reason } = describeError(error, { contractInterface: contract.interface });
+          this.coverage.recordOutcome(contractInfo.address, setupFunction, outcomeOf(errorClass), reason);
+        }
         logger.warn(`Failed to initialize contract state: ${error.message}`);
       }
 
       // Choose a random writable function from the ABI
-      const writeFunctions = contractInfo.abi.filter(item => 
-        item.type === 'function' && 
-        item.stateMutability !== 'view' && 
-        item.stateMutability !== 'pure'
-      );
+      const writeFunctions = this._getWriteFunctions(contractInfo);
       
+      // Contracts with only view and pure functions still get the read phase
       if (writeFunctions.length === 0) {
         logger.warn('No writable functions found in the contract ABI');
-        return { total: interactionCount, successful: 0, results: [] };
       }
 
-      // Track functions that tend to fail to reduce their probability
-      const problematicFunctions = new Set([
-        'power', // Overflow issues
-        'decrement', // "Value would be negative" issues
-        'pop', // "No keys to remove" issues
-        'divide' // Potential division by zero
-      ]);
-      
-      // Filter functions to reduce probability of problematic ones
-      const safeFunctions = writeFunctions.filter(fn => 
-        !Array.from(problematicFunctions).some(problem => fn.name.toLowerCase().includes(problem))
-      );
+      // Predicted reverts in a row per function, from the pre-flight simulations
+      const revertCounts = new Map();
 
       // Better error handling - don't stop on errors
       // Continue trying other functions even after failures
       // Retry mechanism for failed interactions
       let retriesLeft = interactionCount * 0.5; // Allow up to 50% more attempts for retries
-      let i = 0;
+      let attempts = 0;
+      // Receipts are tracked asynchronously, so calls are sent without waiting for the
+      // previous one to be mined. The wallet holds back sends while its in-flight limit
+      // (transactions.maxInFlight) is reached.
+      const pending = new Set();
       
-      while (successCount < interactionCount && (i < interactionCount || retriesLeft > 0)) {
-        try {
-          // Choose different sets of functions to try
-          let functionPool;
-          
-          // Create some function variety but favor safe functions
-          if (successCount < interactionCount * 0.3) {
-            // First 30%: Favor initialization and setting values
-            const initFunctions = writeFunctions.filter(fn => 
-              fn.name.toLowerCase().includes('set') || 
-              fn.name.toLowerCase().includes('init') ||
-              fn.name.toLowerCase().includes('add') ||
-              fn.name.toLowerCase().includes('increment')
-            );
-            functionPool = initFunctions.length > 0 ? initFunctions : safeFunctions;
-          } else if (successCount < interactionCount * 0.7) {
-            // Middle 40%: Use safe functions
-            functionPool = safeFunctions.length > 0 ? safeFunctions : writeFunctions;
+      // fields hold the decoded failure (see _explainFailure) or a skipped call's details
+      const recordFailure = (interactionId, error, fields = {}) => {
+        // For failed transactions, decide whether to retry
+        if (interactionId <= interactionCount) {
+          // This was a regular attempt, count it as a try
+          if (fields.status === 'skipped') {
+            logger.warn(`Interaction ${interactionId} skipped: ${error.message}`);
           } else {
-            // Last 30%: Try any function including risky ones
-            functionPool = writeFunctions;
+            logger.error(`Interaction ${interactionId} failed${fields.errorClass ? ` (${fields.errorClass})` : ''}: ${fields.error || error.message}`);
           }
           
-          const randomFunction = functionPool[Math.floor(Math.random() * functionPool.length)];
-          
-          // Generate appropriate arguments based on function name and input types
-          const args = randomFunction.inputs.map(input => this._generateSafeArgument(input, randomFunction.name, wallet));
-          
-          logger.info(`[${i+1}/${interactionCount}] Calling ${randomFunction.name}(${args.join(', ')})`);
-          
-          // Call with gas limit to prevent certain failures
-          const tx = await contract[randomFunction.name](...args, { 
-            value: 0,
-            gasLimit: 500000  // Set a reasonable gas limit to avoid some failures
+          results.push({
+            interactionId,
+            error: error.message,
+            timestamp: new Date().toISOString(),
+            status: 'failed',
+            ...fields
           });
-          const receipt = await tx.wait();
+        } else if (retriesLeft > 0) {
+          // This was a retry attempt
+          retriesLeft--;
+          logger.warn(`Retry attempt failed. ${retriesLeft} retries remaining.`);
+        }
+      };
+      
+      for (;;) {
+        const canSend = writeFunctions.length > 0 &&
+          successCount + pending.size < interactionCount &&
+          (attempts < interactionCount || retriesLeft > 0);
+        if (!canSend) {
+          if (pending.size === 0) {
+            break;
+          }
+          // A pending call may still fail and need a retry
+          await Promise.race(pending);
+          continue;
+        }
+        
+        const interactionId = ++attempts;
+        let prediction = null;
+        let calledFunction = null;
+        try {
+          // Choose a call that the pre-flight simulation expects to succeed, counting
+          // pending calls as done
+          const { fn: randomFunction, args, predictedReverts } = await this._chooseCall(
+            contract, wallet, writeFunctions, revertCounts, successCount + pending.size, interactionCount
+          );
+          if (!randomFunction) {
+            const lastRevert = predictedReverts[predictedReverts.length - 1];
+            recordFailure(interactionId, new Error(`every simulated call would revert, last: ${lastRevert.function} (${lastRevert.reason})`), {
+              status: 'skipped',
+              predictedReverts
+            });
+            continue;
+          }
           
-          // Record successful interaction
-          const result = {
-            interactionId: i + 1,
-            function: randomFunction.name,
-            arguments: args,
-            transactionHash: receipt.hash,
-            blockNumber: receipt.blockNumber,
-            gasUsed: receipt.gasUsed?.toString(),
-            timestamp: new Date().toISOString(),
-            status: 'success'
-          };
+          logger.info(`[${interactionId}/${interactionCount}] Calling ${randomFunction.name}(${args.join(', ')})`);
+          prediction = await this._predictCall(model, contract, randomFunction.name, args);
+          calledFunction = randomFunction;
+          this.coverage.recordCall(contractInfo.address, randomFunction);
           
-          results.push(result);
-          successCount++;
-          logger.info(`Interaction successful - TX: ${receipt.hash}, Gas used: ${receipt.gasUsed?.toString()}`);
-          i++;
-        } catch (error) {
-          // For failed transactions, decide whether to retry
-          if (i < interactionCount) {
-            // This was a regular attempt, count it as a try
-            logger.error(`Interaction ${i + 1} failed: ${error.message}`);
-            
-            results.push({
-              interactionId: i + 1,
-              error: error.message,
+          // The wallet sets the gas limit from an estimate and the fees from the fee policy
+          const tx = await contract[randomFunction.name].populateTransaction(...args, { value: 0 });
+          const sent = await wallet.sendTransaction(tx);
+          if (options.onSent) {
+            options.onSent(interactionId, sent);
+          }
+          
+          const tracked = wallet.waitForTransaction(sent).then(async receipt => {
+            // Record successful interaction
+            const result = {
+              interactionId,
+              function: randomFunction.name,
+              arguments: args,
+              transactionHash: receipt.hash,
+              blockNumber: receipt.blockNumber,
+              blockHash: receipt.blockHash,
+              gasUsed: receipt.gasUsed?.toString(),
+              events: decodeEvents(receipt, contract.interface, contractInfo.address),
               timestamp: new Date().toISOString(),
-              status: 'failed'
-            });
-            
-            i++;
-          } else if (retriesLeft > 0) {
-            // This was a retry attempt
-            retriesLeft--;
-            logger.warn(`Retry attempt failed. ${retriesLeft} retries remaining.`);
+              status: 'success'
+            };
+            if (predictedReverts.length > 0) {
+              result.predictedReverts = predictedReverts;
+            }
+            if (prediction) {
+              result.modelCheck = await checkModel(`Interaction ${interactionId}`, prediction, { receipt });
+            }
+            results.push(result);
+            successCount++;
+            this.coverage.recordOutcome(contractInfo.address, randomFunction, 'success');
+            if (options.onProgress) {
+              options.onProgress(result);
+            }
+            logger.info(`Interaction ${interactionId} successful - TX: ${receipt.hash}, Gas used: ${receipt.gasUsed?.toString()}`);
+          }, async error => {
+            const details = await this._explainFailure(error, wallet, contract.interface, sent);
+            if (prediction) {
+              details.modelCheck = await checkModel(`Interaction ${interactionId}`, prediction, details);
+            }
+            this.coverage.recordOutcome(contractInfo.address, randomFunction, outcomeOf(details.errorClass), details.error);
+            recordFailure(interactionId, error, details);
+          })
+            // Without a model nothing awaits tracked until Promise.race or the final drain,
+            // so a throwing handler (a failed journal save in onProgress, say) is recorded here
+            .catch(error => recordFailure(interactionId, error, {
+              errorClass: describeError(error).errorClass,
+              error: error.message,
+              transactionHash: sent.hash
+            }))
+            .finally(() => pending.delete(tracked));
+          pending.add(tracked);
+          if (model) {
+            await tracked;
           }
+        } catch (error) {
+          const details = await this._explainFailure(error, wallet, contract.interface);
+          if (prediction) {
+            details.modelCheck = await checkModel(`Interaction ${interactionId}`, prediction, details);
+          }
+          if (calledFunction) {
+            this.coverage.recordOutcome(contractInfo.address, calledFunction, outcomeOf(details.errorClass), details.error);
+          }
+          recordFailure(interactionId, error, details);
         }
         
         // Wait for delay before next interaction
         await new Promise(resolve => setTimeout(resolve, this.delay));
       }
       
+      results.sort((a, b) => a.interactionId - b.interactionId);
+      
+      const reads = this.readPhase.enabled ? await this._sampleReads(wallet, contract, contractInfo, model) : [];
+      
       // Save interaction results
-      this.saveInteractions(results, walletAddress, contractInfo.address);
+      this.saveInteractions([...results, ...reads], walletAddress, contractInfo.address);
       
       logger.info(`Completed ${successCount}/${interactionCount} interactions successfully`);
       return {
         total: interactionCount,
         successful: successCount,
+        eventCounts: this._countEvents(results),
+        coverage: this._summarizeCoverage(contractInfo.address),
+        // Only with a reference model
+        ...(model ? { divergences: divergenceCount } : {}),
+        ...(this.readPhase.enabled ? { reads: this._summarizeReads(reads) } : {}),
         results
       };
     } catch (error) {
       logger.error(`Contract interaction process failed: ${error.message}`);
       throw error;
+    } finally {
+      // Whatever the run got to, including contracts without write functions
+      this.coverage.save();
     }
   }
   
-  // Helper method to generate safe arguments based on function name and input type
-  _generateSafeArgument(input, functionName, wallet) {
-    const lowerFnName = functionName.toLowerCase();
-    
-    if (input.type === 'uint256') {
-      // Use smaller values for power functions to avoid overflow
-      if (lowerFnName.includes('power')) {
-        return Math.floor(Math.random() * 5) + 2; // 2-6 range for power operations
-      }
-      // Use smaller values for decrement to avoid "Value would be negative"
-      else if (lowerFnName.includes('decrement') || lowerFnName.includes('subtract')) {
-        return Math.floor(Math.random() * 50) + 1; // 1-50 for decrements
-      }
-      // Use safer values for divide to avoid division by zero
-      else if (lowerFnName.includes('divide')) {
-        return Math.floor(Math.random() * 8) + 2; // 2-9 for division operations
-      }
-      // Larger values for increment and additions
-      else if (lowerFnName.includes('increment') || lowerFnName.includes('add')) {
-        return Math.floor(Math.random() * 100) + 10; // 10-109 for increments
-      }
-      // Default random number
-      else {
-        return Math.floor(Math.random() * 200) + 1; // 1-200
-      }
-    } else if (input.type === 'address') {
-      return wallet.getAddress();
-    } else if (input.type === 'string') {
-      // Create meaningful key names based on function
-      if (lowerFnName.includes('set')) {
-        return `set_key_${Math.floor(Math.random() * 100)}`;
-      } else if (lowerFnName.includes('store')) {
-        return `store_key_${Math.floor(Math.random() * 100)}`;
+  // Run the scenario's steps in order, each after the previous one was mined. Steps are
+  // simulated first (staticCall) for their return value and to catch reverts; a step
+  // expecting a revert is only simulated. With an interactionCount below the number of
+  // steps, as in a resumed run, the scenario continues with its last steps.
+  async _runScenario(wallet, contractInfo, interactionCount, options = {}) {
+    const scenario = this.scenario;
+    const walletAddress = wallet.getAddress();
+    const firstStep = Math.max(scenario.steps.length - interactionCount, 0);
+    const contractInterface = new ethers.Interface(contractInfo.abi);
+    const results = [];
+    this.coverage.track(contractInfo);
+    logger.info(`Running scenario ${scenario.name} (${scenario.steps.length - firstStep} steps) against ${contractInfo.address} from wallet ${walletAddress}`);
+
+    for (let index = firstStep; index < scenario.steps.length; index++) {
+      const step = scenario.steps[index];
+      const result = await this._runStep(wallet, contractInfo, contractInterface, step, index + 1, options);
+      results.push(result);
+      if (options.onProgress) {
+        options.onProgress(result);
+      }
+
+      const failed = result.assertions.filter(assertion => !assertion.passed);
+      if (result.status === 'success') {
+        logger.info(`Step ${index + 1} ${step.function} passed${result.transactionHash ? ` - TX: ${result.transactionHash}` : ''}`);
       } else {
-        return `key${Math.floor(Math.random() * 100)}`;
+        logger.error(`Step ${index + 1} ${step.function} ${result.status === 'failed' ? `failed: ${result.error}` : `failed assertions: ${failed.map(assertion => assertion.message).join('; ')}`}`);
+        if (scenario.stopOnFailure) {
+          logger.warn(`Stopping scenario ${scenario.name} at step ${index + 1}`);
+          break;
+        }
+      }
+
+      if (index < scenario.steps.length - 1) {
+        await new Promise(resolve => setTimeout(resolve, this.delay));
+      }
+    }
+
+    const passed = results.filter(result => result.status === 'success').length;
+    this.saveInteractions(results, walletAddress, contractInfo.address);
+    this.coverage.save();
+    logger.info(`Scenario ${scenario.name}: ${passed}/${results.length} steps passed`);
+    return {
+      scenario: scenario.name,
+      total: results.length,
+      successful: passed,
+      eventCounts: this._countEvents(results),
+      coverage: this._summarizeCoverage(contractInfo.address),
+      results
+    };
+  }
+
+  async _runStep(wallet, contractInfo, contractInterface, step, stepNumber, options) {
+    const result = {
+      interactionId: stepNumber,
+      function: step.function,
+      arguments: step.args,
+      assertions: [],
+      timestamp: new Date().toISOString()
+    };
+
+    let sent = null;
+    // The function, once its call is recorded in the coverage
+    let called = null;
+    try {
+      const sender = this._resolveSender(step.from, wallet);
+      const context = { wallet: sender.getAddress(), contract: contractInfo.address };
+      const args = resolvePlaceholders(step.args, context);
+      const value = step.value !== undefined ? ethers.parseEther(String(step.value)) : 0n;
+      const fragment = contractInterface.getFunction(step.function);
+      if (!fragment) {
+        throw new Error(`Contract has no function ${step.function}`);
+      }
+      const contract = new ethers.Contract(contractInfo.address, contractInfo.abi, sender.getWallet());
+      const method = contract.getFunction(fragment.format());
+      Object.assign(result, { arguments: normalizeValue(args), from: sender.getAddress(), value: value.toString() });
+
+      let returned;
+      let revertError = null;
+      try {
+        returned = await method.staticCall(...args, { value });
+        result.returned = normalizeValue(returned);
+      } catch (error) {
+        if (error.code !== 'CALL_EXCEPTION') {
+          throw error;
+        }
+        revertError = error;
+      }
+
+      if (step.expect.revert !== undefined) {
+        result.assertions.push(checkRevert(step.expect.revert, revertError, contractInterface));
+        return this._settleStep(result);
+      }
+      if (revertError) {
+        // A view function's call is the simulation itself
+        if (fragment.constant) {
+          called = fragment;
+          this.coverage.recordCall(contractInfo.address, fragment);
+        } else {
+          this.coverage.recordSimulatedRevert(contractInfo.address, fragment, describeError(revertError, { contractInterface }).reason);
+        }
+        throw revertError;
+      }
+      if (step.expect.returns !== undefined) {
+        result.assertions.push(checkReturns(resolvePlaceholders(step.expect.returns, context), returned, fragment));
+      }
+
+      // View functions are only called
+      if (fragment.constant) {
+        this.coverage.recordCall(contractInfo.address, fragment);
+        this.coverage.recordOutcome(contractInfo.address, fragment, 'success');
+        return this._settleStep(result);
+      }
+
+      const tx = await method.populateTransaction(...args, { value });
+      called = fragment;
+      this.coverage.recordCall(contractInfo.address, fragment);
+      sent = await sender.sendTransaction(tx);
+      if (options.onSent) {
+        options.onSent(stepNumber, sent);
       }
+      result.transactionHash = sent.hash;
+      const receipt = await sender.waitForTransaction(sent);
+      Object.assign(result, {
+        transactionHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        blockHash: receipt.blockHash,
+        gasUsed: receipt.gasUsed?.toString(),
+        events: decodeEvents(receipt, contractInterface, contractInfo.address)
+      });
+      this.coverage.recordOutcome(contractInfo.address, fragment, 'success');
+
+      if (step.expect.events !== undefined) {
+        const expectedEvents = resolvePlaceholders(step.expect.events, context);
+        result.assertions.push(...checkEvents(expectedEvents, result.events));
+      }
+      return this._settleStep(result);
+    } catch (error) {
+      const details = await this._explainFailure(error, wallet, contractInterface, sent);
+      if (called) {
+        this.coverage.recordOutcome(contractInfo.address, called, outcomeOf(details.errorClass), details.error);
+      }
+      return { ...result, status: 'failed', ...details };
+    }
+  }
+
+  // Event counts of a contract's results, also added to the run's totals
+  _countEvents(results) {
+    const counts = countEvents(results);
+    for (const [name, count] of Object.entries(counts)) {
+      this.eventCounts[name] = (this.eventCounts[name] || 0) + count;
+    }
+    return counts;
+  }
+
+  _settleStep(result) {
+    result.status = result.assertions.every(assertion => assertion.passed) ? 'success' : 'assertion_failed';
+    return result;
+  }
+
+  // The wallet a step is sent from: the wallet being processed, or another wallet of the
+  // run given by its index in pk.txt or its address
+  _resolveSender(from, wallet) {
+    if (from === undefined || from === null) {
+      return wallet;
+    }
+
+    const sender = typeof from === 'number'
+      ? this.wallets[from]
+      : this.wallets.find(candidate => candidate.getAddress().toLowerCase() === String(from).toLowerCase());
+    if (!sender) {
+      throw new Error(`No wallet ${from} to send from; use an index in pk.txt or the address of one of its wallets`);
+    }
+    return sender;
+  }
+
+  // The calls interact() would make, without sending anything, assuming every call
+  // succeeds. Used by dry runs to simulate a run.
+  planInteractions(wallet, contractInfo, interactionCount) {
+    if (!this.scenario.builtin) {
+      return { setup: [], calls: this._planScenario(wallet, contractInfo) };
+    }
+
+    const setup = this._getSetupCalls(contractInfo);
+
+    const writeFunctions = this._getWriteFunctions(contractInfo);
+    const calls = [];
+    for (let i = 0; writeFunctions.length > 0 && i < interactionCount; i++) {
+      const functionPool = this._chooseFunctionPool(writeFunctions, i, interactionCount);
+      const randomFunction = this._pickFunction(functionPool, contractInfo.address);
+      calls.push({
+        function: randomFunction.name,
+        args: this.argumentGenerator.generate(randomFunction, wallet)
+      });
+    }
+
+    return { setup, calls };
+  }
+
+  // A scenario's transactions: steps that call view functions or expect a revert aren't sent
+  _planScenario(wallet, contractInfo) {
+    const contractInterface = new ethers.Interface(contractInfo.abi);
+    const calls = [];
+    for (const step of this.scenario.steps) {
+      const fragment = contractInterface.getFunction(step.function);
+      if ((fragment && fragment.constant) || step.expect.revert !== undefined) {
+        continue;
+      }
+      const sender = this._resolveSender(step.from, wallet);
+      calls.push({
+        function: step.function,
+        args: resolvePlaceholders(step.args, { wallet: sender.getAddress(), contract: contractInfo.address }),
+        value: step.value !== undefined ? ethers.parseEther(String(step.value)) : 0n,
+        from: sender.getAddress()
+      });
+    }
+    return calls;
+  }
+
+  _getWriteFunctions(contractInfo) {
+    // Upgrading or re-initializing through a proxy would break the interactions that follow
+    const proxyAdminFunctions = contractInfo.proxy ? ['upgradeToAndCall', 'initialize'] : [];
+
+    return contractInfo.abi.filter(item => 
+      item.type === 'function' && 
+      item.stateMutability !== 'view' && 
+      item.stateMutability !== 'pure' &&
+      !proxyAdminFunctions.includes(item.name) &&
+      this._isAllowed(contractInfo, item)
+    );
+  }
+
+  _getReadFunctions(contractInfo) {
+    return contractInfo.abi.filter(item =>
+      item.type === 'function' &&
+      (item.stateMutability === 'view' || item.stateMutability === 'pure') &&
+      this._isAllowed(contractInfo, item)
+    );
+  }
+
+  // Whether random mode may call a function, named by its name or its signature (for
+  // overloads) in the lists. A contract's own allow list (external contracts, see
+  // ./external) replaces interaction.functions.allow; deny lists add up.
+  _isAllowed(contractInfo, item) {
+    const own = contractInfo.functions || {};
+    const allow = own.allow && own.allow.length > 0 ? own.allow : this.functionFilter.allow;
+    const deny = [...this.functionFilter.deny, ...(own.deny || [])];
+    const names = [item.name, ethers.FunctionFragment.from(item).format()];
+
+    if (names.some(name => deny.includes(name))) {
+      return false;
+    }
+    return allow.length === 0 || names.some(name => allow.includes(name));
+  }
+
+  // Setup calls for a contract's template, limited to the functions its ABI has (a file
+  // upgrade may have changed it). Contracts deployed elsewhere are left as they are.
+  _getSetupCalls(contractInfo) {
+    if (contractInfo.external) {
+      return [];
+    }
+
+    const calls = [...(STATE_SETUP_CALLS[contractInfo.template] || [])];
+    const types = (contractInfo.model && contractInfo.model.functions) || {};
+    const pushFunction = Object.keys(types).find(name => types[name] === 'push');
+    if (pushFunction) {
+      calls.push(...SETUP_KEYS.map(key => ({ function: pushFunction, args: [key] })));
+    }
+
+    return calls.filter(call =>
+      contractInfo.abi.some(item => item.type === 'function' && item.name === call.function && item.inputs.length === call.args.length) &&
+      !this.functionFilter.deny.includes(call.function)
+    );
+  }
+
+  // Read phase: eth_call random view and pure functions with generated arguments, all
+  // against the same block. Results are logged with kind 'read' and, where the reference
+  // model knows the answer, status 'mismatch' when the return value or revert differs.
+  async _sampleReads(wallet, contract, contractInfo, model) {
+    const readFunctions = this._getReadFunctions(contractInfo);
+    if (readFunctions.length === 0) {
+      return [];
+    }
+
+    const blockNumber = await wallet.getProvider().getBlockNumber();
+    logger.info(`Sampling ${this.readPhase.calls} read-only calls at block ${blockNumber}`);
+    const reads = [];
+    for (let readId = 1; readId <= this.readPhase.calls; readId++) {
+      const fn = this._pickFunction(readFunctions, contractInfo.address);
+      this.coverage.recordCall(contractInfo.address, fn);
+      const read = {
+        kind: 'read',
+        readId,
+        function: fn.name,
+        arguments: [],
+        blockNumber,
+        timestamp: new Date().toISOString()
+      };
+      reads.push(read);
+
+      let outcome;
+      try {
+        read.arguments = this.argumentGenerator.generate(fn, wallet);
+        const fragment = ethers.FunctionFragment.from(fn);
+        const returned = await contract.getFunction(fragment.format()).staticCall(...read.arguments, { blockTag: blockNumber });
+        read.returned = normalizeValue(returned);
+        outcome = { returns: read.returned };
+      } catch (error) {
+        const { errorClass, reason, revert } = describeError(error, { contractInterface: contract.interface });
+        Object.assign(read, { error: reason, errorClass, ...(revert ? { revert } : {}) });
+        if (errorClass !== 'revert') {
+          read.status = 'failed';
+          this.coverage.recordOutcome(contractInfo.address, fn, 'failure');
+          logger.error(`Read ${fn.name}(${read.arguments.join(', ')}) failed: ${reason}`);
+          continue;
+        }
+        outcome = { revert: reason };
+      }
+
+      read.status = 'success';
+      this.coverage.recordOutcome(contractInfo.address, fn, outcome.revert !== undefined ? 'revert' : 'success', outcome.revert);
+      const expected = model && model.models(fn.name) ? model.call(fn.name, read.arguments) : null;
+      if (expected) {
+        const matches = expected.revert !== undefined
+          ? outcome.revert === expected.revert
+          : outcome.returns !== undefined && normalizeValue(expected.returns) === outcome.returns;
+        read.modelCheck = { passed: matches, expected: expected.revert !== undefined ? { revert: expected.revert } : { returns: normalizeValue(expected.returns) } };
+        if (!matches) {
+          read.status = 'mismatch';
+          logger.error(`Read ${fn.name}(${read.arguments.join(', ')}) returned ${outcome.revert !== undefined ? `a revert (${outcome.revert})` : outcome.returns}, the reference model expected ${expected.revert !== undefined ? `a revert (${expected.revert})` : normalizeValue(expected.returns)}`);
+        }
+      }
+    }
+
+    const summary = this._summarizeReads(reads);
+    logger.info(`Read phase: ${summary.total} calls, ${summary.checked} checked against the reference model, ${summary.mismatches} mismatches, ${summary.failed} failed`);
+    return reads;
+  }
+
+  _summarizeReads(reads) {
+    return {
+      total: reads.length,
+      checked: reads.filter(read => read.modelCheck).length,
+      mismatches: reads.filter(read => read.status === 'mismatch').length,
+      failed: reads.filter(read => read.status === 'failed').length
+    };
+  }
+
+  // A function of the pool, picked as interaction.selection says
+  _pickFunction(functions, contractAddress) {
+    if (this.selection !== 'coverage') {
+      return functions[Math.floor(Math.random() * functions.length)];
+    }
+
+    const weights = functions.map(fn => this.coverage.weight(contractAddress, fn));
+    let pick = Math.random() * weights.reduce((sum, weight) => sum + weight, 0);
+    for (let i = 0; i < functions.length; i++) {
+      pick -= weights[i];
+      if (pick < 0) {
+        return functions[i];
+      }
+    }
+    return functions[functions.length - 1];
+  }
+
+  // Functions of a contract's ABI, and how many were called and succeeded at least once
+  // across runs
+  _summarizeCoverage(contractAddress) {
+    const entry = this.coverage.get(contractAddress);
+    const functions = entry ? Object.values(entry.functions) : [];
+    return {
+      functions: functions.length,
+      called: functions.filter(fn => fn.calls > 0).length,
+      succeeded: functions.filter(fn => fn.successes > 0).length
+    };
+  }
+
+  // Create some function variety: favor functions that set up state before using all
+  _chooseFunctionPool(writeFunctions, successCount, interactionCount) {
+    if (successCount < interactionCount * 0.3) {
+      // First 30%: Favor initialization and setting values
+      const initFunctions = writeFunctions.filter(fn => 
+        fn.name.toLowerCase().includes('set') || 
+        fn.name.toLowerCase().includes('init') ||
+        fn.name.toLowerCase().includes('add') ||
+        fn.name.toLowerCase().includes('increment')
+      );
+      return initFunctions.length > 0 ? initFunctions : writeFunctions;
+    }
+    return writeFunctions;
+  }
+
+  // Pick a random function and arguments whose simulation against the pending state
+  // succeeds. A call that would revert gets new arguments, up to argumentAttempts times,
+  // before another function is tried, up to functionAttempts functions. Functions whose
+  // simulations keep reverting are left out of later picks. Returns { fn: null } when no
+  // call passed; predictedReverts lists the reverts seen either way.
+  async _chooseCall(contract, wallet, writeFunctions, revertCounts, successCount, interactionCount) {
+    const { enabled, argumentAttempts, functionAttempts } = this.preflight;
+    const predictedReverts = [];
+    const tried = new Set();
+
+    for (let attempt = 0; attempt < (enabled ? functionAttempts : 1); attempt++) {
+      const untried = fn => !tried.has(fn.name);
+      let functionPool = this._chooseFunctionPool(writeFunctions, successCount, interactionCount)
+        .filter(fn => untried(fn) && (revertCounts.get(fn.name) || 0) < REVERTING_THRESHOLD);
+      if (functionPool.length === 0) {
+        functionPool = writeFunctions.filter(untried);
+      }
+      if (functionPool.length === 0) {
+        break;
+      }
+
+      const fn = this._pickFunction(functionPool, contract.target);
+      tried.add(fn.name);
+      for (let argumentAttempt = 0; argumentAttempt < (enabled ? argumentAttempts : 1); argumentAttempt++) {
+        // Generate appropriate arguments based on function name and input types
+        const args = this.argumentGenerator.generate(fn, wallet);
+        const revert = enabled ? await this._simulateCall(contract, fn, args) : null;
+        if (revert === null) {
+          revertCounts.set(fn.name, 0);
+          return { fn, args, predictedReverts };
+        }
+        predictedReverts.push({ function: fn.name, arguments: args, reason: revert.reason, revert });
+        this.coverage.recordSimulatedRevert(contract.target, fn, revert.reason);
+        logger.debug(`Simulated ${fn.name}(${args.join(', ')}) would revert: ${revert.reason}`);
+      }
+      revertCounts.set(fn.name, (revertCounts.get(fn.name) || 0) + 1);
+    }
+
+    return { fn: null, args: null, predictedReverts };
+  }
+
+  // staticCall a function against the pending state, so calls sent but not yet mined are
+  // taken into account. Returns the decoded revert (see utils/errors), or null when the
+  // call succeeds.
+  async _simulateCall(contract, fn, args) {
+    try {
+      await contract[fn.name].staticCall(...args, { value: 0, blockTag: 'pending' });
+      return null;
+    } catch (error) {
+      if (error.code !== 'CALL_EXCEPTION') {
+        throw error;
+      }
+      const { reason, revert } = describeError(error, { contractInterface: contract.interface });
+      return revert || { type: 'unknown', reason };
+    }
+  }
+
+  // Reference model of a contract deployed from a template that has one, or null
+  _createModel(contractInfo, wallet) {
+    if (!this.modelCheck.enabled || !this.contractGenerator) {
+      return null;
+    }
+    const model = this.contractGenerator.createReferenceModel(contractInfo);
+    if (!model) {
+      return null;
+    }
+    const maxInFlight = wallet.txConfig.maxInFlight;
+    if (maxInFlight > 1) {
+      logger.warn(`Checking ${contractInfo.address} against the ${contractInfo.template} reference model: calls are sent one at a time, so transactions.maxInFlight (${maxInFlight}) does not apply. Set interaction.modelCheck.enabled to false to pipeline them.`);
     } else {
-      return 0; // Default value for unknown types
+      logger.info(`Checking ${contractInfo.address} against the ${contractInfo.template} reference model`);
+    }
+    return model;
+  }
+
+  // Learn the state a call touches that the model doesn't know yet, then apply the call
+  // to the model: { functionName, args, before, revert, uncertain }, with the state to
+  // restore if the call fails and the predicted revert. Null without a model.
+  async _predictCall(model, contract, functionName, args) {
+    if (!model || !model.models(functionName)) {
+      return null;
+    }
+    for (const observation of model.observations(functionName, args)) {
+      if (observation.expected === null) {
+        model.learn(observation, await contract[observation.function].staticCall(...observation.args));
+      }
     }
+    const before = model.snapshot();
+    return { functionName, args, before, ...model.apply(functionName, args) };
   }
 
+  // Compare the outcome of a call ({ receipt } when mined, the _explainFailure fields
+  // when it failed) with the model's prediction. Returns the divergences: an unexpected
+  // revert or success, and state read back at the call's block that differs from the
+  // model's. The model then takes the chain's state, so one divergence isn't reported
+  // again by every later call.
+  async _checkModel(model, contract, prediction, outcome) {
+    const { functionName, args } = prediction;
+    const divergences = [];
+    if (!outcome.receipt) {
+      model.restore(prediction.before);
+      // Out of gas, fee and RPC failures say nothing about the contract's logic
+      if (outcome.errorClass === 'revert') {
+        if (prediction.revert && outcome.error !== prediction.revert) {
+          divergences.push(`reverted with "${outcome.error}", the model expected "${prediction.revert}"`);
+        } else if (!prediction.revert && !prediction.uncertain) {
+          divergences.push(`reverted with "${outcome.error}", the model expected success`);
+        }
+        model.learnRevert(functionName, outcome.error);
+      }
+      return divergences;
+    }
+
+    if (prediction.revert) {
+      divergences.push(`succeeded, the model expected a revert with "${prediction.revert}"`);
+    }
+    for (const observation of model.observations(functionName, args)) {
+      const actual = await contract[observation.function].staticCall(...observation.args, { blockTag: outcome.receipt.blockNumber });
+      if (observation.expected !== null && BigInt(actual) !== observation.expected) {
+        divergences.push(`${observation.label} is ${actual} on chain, the model expected ${observation.expected}`);
+      }
+      model.learn(observation, actual);
+    }
+    return divergences;
+  }
+
+  // Fields describing a failed interaction: the short reason as error, its errorClass
+  // (revert, out_of_gas, nonce, fee, rpc or timeout) and the decoded revert when there
+  // is one. A receipt carries no revert data, so a transaction that reverted on chain is
+  // replayed with eth_call against the state before its block to recover the reason;
+  // the replay misses changes made by earlier transactions in the same block.
+  async _explainFailure(error, wallet, contractInterface, sent = null) {
+    const gasLimit = sent && sent.gasLimit !== undefined ? sent.gasLimit : null;
+    let { errorClass, reason, revert } = describeError(error, { contractInterface, gasLimit });
+
+    if (errorClass === 'revert' && !revert && error.receipt && sent && sent.data) {
+      try {
+        await wallet.getProvider().call({
+          from: sent.from,
+          to: sent.to,
+          data: sent.data,
+          value: sent.value,
+          gasLimit,
+          blockTag: error.receipt.blockNumber - 1
+        });
+      } catch (replayError) {
+        const replayed = describeError(replayError, { contractInterface });
+        if (replayed.revert) {
+          reason = replayed.reason;
+          revert = { ...replayed.revert, replayed: true };
+        }
+      }
+    }
+
+    return { error: reason, errorClass, ...(revert ? { revert } : {}) };
+  }
+  
   saveInteractions(results, walletAddress, contractAddress) {
     try {
       const filename = `${walletAddress.substring(0, 8)}_${contractAddress.substring(0, 8)}_${Date.now()}.json`;
       const filePath = path.join(this.interactionsDir, filename);
       
-      fs.writeFileSync(filePath, JSON.stringify(results, null, 2));
+      const network = this.network || { chainId: null, genesisHash: null };
+      fs.writeFileSync(filePath, JSON.stringify(results.map(result => ({ ...result, ...network })), null, 2));
       logger.info(`Interaction results saved to ${filePath}`);
     } catch (error) {
       logger.error(`Failed to save interaction results: ${error.message}`);
     }
   }
+
+  // Check that successful interactions saved in the interactions directory and mined in
+  // the last `depth` blocks (all with depth 0) are still in their recorded block. Results
+  // a reorg dropped are marked orphaned; ones mined again get the new block recorded.
+  // Like deployments, only results saved on the current network (same chain ID and
+  // genesis block) are checked; results without a network predate it being recorded.
+  async checkReorgs(provider, { depth = 0 } = {}) {
+    this.network = await getNetworkIdentity(provider);
+    const latest = await provider.getBlockNumber();
+    const fromBlock = depth > 0 ? latest - depth : 0;
+    const summary = { checked: 0, reincluded: 0, orphaned: 0 };
+    const files = fs.readdirSync(this.interactionsDir).filter(file => file.endsWith('.json'));
+
+    for (const file of files) {
+      const filePath = path.join(this.interactionsDir, file);
+      let results;
+      try {
+        results = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      } catch (error) {
+        logger.warn(`Skipping unreadable interaction results ${file}: ${error.message}`);
+        continue;
+      }
+
+      if (!Array.isArray(results)) {
+        continue;
+      }
+
+      let changed = false;
+      for (const result of results) {
+        if (!['success', 'orphaned'].includes(result.status) || !result.blockHash || result.blockNumber < fromBlock) {
+          continue;
+        }
+        if (result.chainId !== this.network.chainId || result.genesisHash !== this.network.genesisHash) {
+          continue;
+        }
+
+        summary.checked++;
+        let inclusion;
+        try {
+          inclusion = await checkInclusion(provider, result);
+        } catch (error) {
+          logger.warn(`Could not check the block of ${result.transactionHash}: ${error.message}`);
+          continue;
+        }
+
+        if (inclusion.status === 'orphaned') {
+          summary.orphaned++;
+          if (result.status !== 'orphaned') {
+            logger.warn(`Interaction ${result.transactionHash} in block ${result.blockNumber} was dropped by a reorg; marked orphaned`);
+            result.status = 'orphaned';
+            changed = true;
+          }
+        } else if (inclusion.status === 'reincluded') {
+          summary.reincluded++;
+          Object.assign(result, { blockNumber: inclusion.blockNumber, blockHash: inclusion.blockHash, status: 'success' });
+          changed = true;
+        } else if (result.status === 'orphaned') {
+          result.status = 'success';
+          changed = true;
+        }
+      }
+
+      if (changed) {
+        fs.writeFileSync(filePath, JSON.stringify(results, null, 2));
+      }
+    }
+
+    logger.info(`Reorg check: ${summary.checked} interactions checked, ${summary.reincluded} moved to another block, ${summary.orphaned} orphaned`);
+    return summary;
+  }
 }
 
 module.exports = InteractionService;
\ No newline at end of file
@@ -0,0 +1,242 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+// Version of the run journal file layout
+const JOURNAL_VERSION = 1;
+
+// Progress of a run in runs/<runId>.json, so a run that died partway through can be
+// continued with --resume <runId>. For each wallet it records the stages done (faucet
+// claim, each deployment, the interactions with each contract) and the transactions
+// sent but not yet mined. Like the deployment registry, writes go through a temporary
+// file so a crash never leaves the journal half written.
+class RunJournal {
+  constructor(runsDir = path.join(process.cwd(), 'runs')) {
+    this.runsDir = runsDir;
+    this.runId = null;
+    this.filePath = null;
+    this.data = null;
+  }
+
+  // Start the journal of a new run and return its ID
+  start() {
+    const timestamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+    this.runId = `${timestamp}-${crypto.randomBytes(3).toString('hex')}`;
+    this.filePath = path.join(this.runsDir, `${this.runId}.json`);
+    this.data = {
+      version: JOURNAL_VERSION,
+      runId: this.runId,
+      status: 'running',
+      startedAt: new Date().toISOString(),
+      resumedAt: [],
+      wallets: {}
+    };
+
+    if (!fs.existsSync(this.runsDir)) {
+      fs.mkdirSync(this.runsDir);
+    }
+    this.save();
+    return this.runId;
+  }
+
+  // Open the journal of an earlier run to continue it
+  load(runId) {
+    const filePath = path.join(this.runsDir, `${runId}.json`);
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`No journal for run ${runId} in ${this.runsDir}`);
+    }
+
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (data.version > JOURNAL_VERSION) {
+      throw new Error(`Run journal version ${data.version} is newer than supported version ${JOURNAL_VERSION}`);
+    }
+
+    this.runId = runId;
+    this.filePath = filePath;
+    this.data = data;
+    if (data.status !== 'completed') {
+      data.resumedAt.push(new Date().toISOString());
+      this.save();
+    }
+    return data;
+  }
+
+  save() {
+    this.data.updatedAt = new Date().toISOString();
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(this.data, null, 2));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  isCompleted() {
+    return this.data.status === 'completed';
+  }
+
+  complete() {
+    this.data.status = 'completed';
+    this.data.completedAt = new Date().toISOString();
+    this.save();
+  }
+
+  _wallet(address) {
+    const key = address.toLowerCase();
+    if (!this.data.wallets[key]) {
+      this.data.wallets[key] = { status: 'running', currentStage: null, stages: {}, pending: {} };
+    }
+    return this.data.wallets[key];
+  }
+
+  isWalletCompleted(address) {
+    const entry = this.data.wallets[address.toLowerCase()];
+    return Boolean(entry && entry.status === 'completed');
+  }
+
+  completeWallet(address) {
+    const entry = this._wallet(address);
+    entry.status = 'completed';
+    entry.currentStage = null;
+    this.save();
+  }
+
+  // A stage's record, e.g. { status: 'done', address } for a deployment, or null when
+  // the run hasn't reached it
+  getStage(address, key) {
+    return this._wallet(address).stages[key] || null;
+  }
+
+  // Record that a stage started. Transactions the wallet sends from now on belong to it.
+  startStage(address, key, fields = {}) {
+    const entry = this._wallet(address);
+    entry.stages[key] = { ...(entry.stages[key] || {}), ...fields, status: 'started' };
+    entry.currentStage = key;
+    this.save();
+    return entry.stages[key];
+  }
+
+  updateStage(address, key, changes) {
+    const entry = this._wallet(address);
+    Object.assign(entry.stages[key], changes);
+    this.save();
+    return entry.stages[key];
+  }
+
+  // Record that a stage finished, with status 'done' unless fields give another
+  // (e.g. 'failed'). Finished stages are skipped when the run is resumed.
+  completeStage(address, key, fields = {}) {
+    const entry = this._wallet(address);
+    entry.stages[key] = { ...(entry.stages[key] || {}), status: 'done', ...fields, finishedAt: new Date().toISOString() };
+    if (entry.currentStage === key) {
+      entry.currentStage = null;
+    }
+    this.save();
+    return entry.stages[key];
+  }
+
+  // Add details to a pending transaction's record, e.g. the interaction it was sent for
+  tagPending(address, hash, fields) {
+    const pending = this._wallet(address).pending[hash];
+    if (pending) {
+      Object.assign(pending, fields);
+      this.save();
+    }
+  }
+
+  // Record the transactions a wallet sends, under the current stage, until they are
+  // mined or given up on
+  attach(wallet) {
+    const entry = this._wallet(wallet.getAddress());
+    wallet.transactionListener = {
+      sent: response => {
+        entry.pending[response.hash] = entry.pending[response.hash] || {
+          nonce: response.nonce,
+          stage: entry.currentStage,
+          sentAt: new Date().toISOString()
+        };
+        this.save();
+      },
+      // A replacement settles the original's nonce too
+      settled: response => {
+        for (const [hash, pending] of Object.entries(entry.pending)) {
+          if (pending.nonce === response.nonce) {
+            delete entry.pending[hash];
+          }
+        }
+        this.save();
+      }
+    };
+  }
+
+  // Settle the transactions a wallet had pending when the run stopped: wait for those
+  // still known to the node and drop the rest. Mined interactions count towards their
+  // stage. Deployment transactions that don't fail are handed to the wallet to reuse, so
+  // resuming a deployment picks up its transaction instead of deploying the contract again.
+  async reconcile(wallet) {
+    const address = wallet.getAddress();
+    const entry = this._wallet(address);
+    const provider = wallet.getProvider();
+
+    // A transaction and its replacements share a nonce; prefer whichever was mined
+    const byNonce = new Map();
+    for (const [hash, pending] of Object.entries(entry.pending)) {
+      if (!byNonce.has(pending.nonce)) {
+        byNonce.set(pending.nonce, []);
+      }
+      byNonce.get(pending.nonce).push({ hash, pending });
+    }
+    if (byNonce.size === 0) {
+      return { pending: 0, mined: 0, dropped: 0 };
+    }
+
+    logger.info(`Reconciling ${byNonce.size} transactions wallet ${address} had pending when the run stopped`);
+    const summary = { pending: byNonce.size, mined: 0, dropped: 0 };
+    const found = [];
+    for (const [nonce, candidates] of byNonce) {
+      let chosen = null;
+      for (const candidate of candidates) {
+        const response = await provider.getTransaction(candidate.hash);
+        if (response && (!chosen || response.blockNumber !== null)) {
+          chosen = { ...candidate, response };
+        }
+      }
+
+      if (chosen) {
+        found.push(chosen);
+      } else {
+        summary.dropped++;
+        logger.warn(`Transaction ${candidates.map(candidate => candidate.hash).join(' / ')} with nonce ${nonce} is unknown to the node; dropping it`);
+        for (const candidate of candidates) {
+          delete entry.pending[candidate.hash];
+        }
+      }
+    }
+    this.save();
+
+    const isDeployment = stage => Boolean(stage && (stage.startsWith('deploy:') || stage.startsWith('user:')));
+    wallet.adoptTransactions(found.filter(item => isDeployment(item.pending.stage)).map(item => item.response));
+    for (const item of found.filter(item => !isDeployment(item.pending.stage))) {
+      wallet.trackTransaction(item.response);
+    }
+
+    for (const { response, pending } of found) {
+      try {
+        await wallet.waitForTransaction(response);
+        summary.mined++;
+        const stage = pending.stage ? entry.stages[pending.stage] : null;
+        if (stage && pending.interactionId !== undefined) {
+          stage.completed = (stage.completed || 0) + 1;
+        }
+      } catch (error) {
+        logger.warn(`Transaction ${response.hash} from before the restart failed: ${error.shortMessage || error.message}`);
+        // A retried deployment must not reuse the reverted transaction
+        wallet.dropAdopted(response.hash);
+      }
+    }
+
+    this.save();
+    logger.info(`Reconciled pending transactions: ${summary.mined} mined, ${summary.pending - summary.mined - summary.dropped} failed, ${summary.dropped} dropped`);
+    return summary;
+  }
+}
+
+module.exports = RunJournal;
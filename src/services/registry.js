@@ -0,0 +1,225 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+// Version of the registry file layout and of the records it holds
+const REGISTRY_VERSION = 1;
+
+// Fields with a secondary index, mapped to how a record's index keys are derived
+const INDEXES = {
+  wallet: record => [record.wallet && record.wallet.toLowerCase()],
+  chainId: record => [record.chainId !== undefined && record.chainId !== null ? String(record.chainId) : null],
+  template: record => [record.template],
+  tag: record => record.tags || []
+};
+
+// Single-file store of deployment records keyed by contract address, with lookups by
+// wallet, chain, template and tag. Writes go to a temporary file that is renamed over
+// the registry so a crash never leaves it half written.
+class DeploymentRegistry {
+  constructor(deploymentsDir) {
+    this.deploymentsDir = deploymentsDir;
+    this.filePath = path.join(deploymentsDir, 'registry.json');
+    this.legacyDir = path.join(deploymentsDir, 'legacy');
+    this.records = new Map();
+    this.indexes = {};
+    this.loaded = false;
+  }
+
+  load() {
+    this.records.clear();
+
+    if (fs.existsSync(this.filePath)) {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      if (data.version > REGISTRY_VERSION) {
+        throw new Error(`Deployment registry version ${data.version} is newer than supported version ${REGISTRY_VERSION}`);
+      }
+      for (const record of data.records || []) {
+        this.records.set(record.address.toLowerCase(), this._normalize(record));
+      }
+    }
+
+    this.loaded = true;
+    this._rebuildIndexes();
+    this.migrateLegacyFiles();
+    return this.all();
+  }
+
+  _ensureLoaded() {
+    if (!this.loaded) {
+      this.load();
+    }
+  }
+
+  _normalize(record) {
+    return {
+      ...record,
+      schemaVersion: record.schemaVersion || REGISTRY_VERSION,
+      chainId: record.chainId !== undefined ? record.chainId : null,
+      tags: record.tags || []
+    };
+  }
+
+  _rebuildIndexes() {
+    this.indexes = {};
+    for (const field of Object.keys(INDEXES)) {
+      this.indexes[field] = new Map();
+    }
+    for (const [key, record] of this.records) {
+      this._indexRecord(key, record);
+    }
+  }
+
+  _indexRecord(key, record) {
+    for (const [field, getKeys] of Object.entries(INDEXES)) {
+      for (const indexKey of getKeys(record)) {
+        if (indexKey === null || indexKey === undefined) {
+          continue;
+        }
+        if (!this.indexes[field].has(indexKey)) {
+          this.indexes[field].set(indexKey, new Set());
+        }
+        this.indexes[field].get(indexKey).add(key);
+      }
+    }
+  }
+
+  // Import the per-deployment JSON files written by earlier versions and move them to
+  // deployments/legacy. Duplicate addresses keep the most recent record.
+  migrateLegacyFiles() {
+    if (!fs.existsSync(this.deploymentsDir)) {
+      return 0;
+    }
+
+    const files = fs.readdirSync(this.deploymentsDir).filter(file =>
+      file.endsWith('.json') && file !== path.basename(this.filePath)
+    );
+    if (files.length === 0) {
+      return 0;
+    }
+
+    const imported = new Set();
+    for (const file of files) {
+      const filePath = path.join(this.deploymentsDir, file);
+      try {
+        const record = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        if (!record.address) {
+          logger.warn(`Skipping legacy deployment file without an address: ${file}`);
+          continue;
+        }
+
+        const existing = this.records.get(record.address.toLowerCase());
+        if (!existing || String(record.deployedAt) > String(existing.deployedAt)) {
+          this.records.set(record.address.toLowerCase(), this._normalize(record));
+          imported.add(record.address.toLowerCase());
+        }
+      } catch (error) {
+        logger.warn(`Skipping unreadable legacy deployment file ${file}: ${error.message}`);
+      }
+    }
+
+    this._rebuildIndexes();
+    this.save();
+
+    if (!fs.existsSync(this.legacyDir)) {
+      fs.mkdirSync(this.legacyDir);
+    }
+    for (const file of files) {
+      fs.renameSync(path.join(this.deploymentsDir, file), path.join(this.legacyDir, file));
+    }
+
+    logger.info(`Migrated ${imported.size} legacy deployment records from ${files.length} files into ${this.filePath}`);
+    return imported.size;
+  }
+
+  save() {
+    const data = {
+      version: REGISTRY_VERSION,
+      updatedAt: new Date().toISOString(),
+      records: this.all()
+    };
+
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  // Insert or replace the record for an address
+  upsert(record) {
+    this._ensureLoaded();
+    const key = record.address.toLowerCase();
+    const normalized = this._normalize(record);
+
+    this.records.set(key, normalized);
+    this._rebuildIndexes();
+    this.save();
+    return normalized;
+  }
+
+  // Pass { persist: false } to batch several changes before a single save()
+  update(address, changes, { persist = true } = {}) {
+    this._ensureLoaded();
+    const key = address.toLowerCase();
+    const record = this.records.get(key);
+    if (!record) {
+      return null;
+    }
+
+    Object.assign(record, changes);
+    this._rebuildIndexes();
+    if (persist) {
+      this.save();
+    }
+    return record;
+  }
+
+  remove(address, { persist = true } = {}) {
+    this._ensureLoaded();
+    const removed = this.records.delete(address.toLowerCase());
+    if (removed) {
+      this._rebuildIndexes();
+      if (persist) {
+        this.save();
+      }
+    }
+    return removed;
+  }
+
+  get(address) {
+    this._ensureLoaded();
+    return this.records.get(address.toLowerCase()) || null;
+  }
+
+  all() {
+    return Array.from(this.records.values());
+  }
+
+  // Records matching every given criterion: { wallet, chainId, template, tag }
+  find(criteria = {}) {
+    this._ensureLoaded();
+    let keys = null;
+
+    for (const [field, value] of Object.entries(criteria)) {
+      if (value === undefined || value === null) {
+        continue;
+      }
+      if (!this.indexes[field]) {
+        throw new Error(`Unsupported deployment lookup field: ${field}`);
+      }
+
+      const indexKey = field === 'wallet' ? value.toLowerCase() : String(value);
+      const matches = this.indexes[field].get(indexKey) || new Set();
+      keys = keys === null
+        ? new Set(matches)
+        : new Set([...keys].filter(key => matches.has(key)));
+    }
+
+    if (keys === null) {
+      return this.all();
+    }
+    return [...keys].map(key => this.records.get(key));
+  }
+}
+
+module.exports = DeploymentRegistry;
+module.exports.REGISTRY_VERSION = REGISTRY_VERSION;
@@ -0,0 +1,195 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { ethers } = require('ethers');
+const { describeError } = require('../utils/errors');
+
+// Scenarios selected by name instead of a file. random is the original mode: random
+// write functions in a set-up, safe and unrestricted phase (see InteractionService).
+const BUILTIN_SCENARIOS = {
+  random: {
+    name: 'random',
+    builtin: true,
+    description: 'Random write functions with generated arguments'
+  }
+};
+
+const STEP_KEYS = ['function', 'args', 'value', 'from', 'expect', 'description'];
+const EXPECT_KEYS = ['returns', 'events', 'revert'];
+
+// Load a built-in scenario by name or a scenario file (YAML, relative to the working
+// directory):
+//
+// name: vault-smoke
+// stopOnFailure: true        # stop at the first failed step (default)
+// steps:
+//   - function: deposit
+//     value: "0.01"          # ether sent with the call
+//     expect:
+//       events:
+//         - name: Deposited
+//           args: { account: $wallet, amount: "10000000000000000" }
+//   - function: withdraw
+//     args: [1]
+//     from: 1                # index in pk.txt or an address of another wallet
+//     expect:
+//       revert: Insufficient deposit
+//
+// "$wallet" and "$contract" in arguments and expected values stand for the sending
+// wallet's and the contract's address.
+function loadScenario(nameOrPath = 'random') {
+  if (BUILTIN_SCENARIOS[nameOrPath]) {
+    return BUILTIN_SCENARIOS[nameOrPath];
+  }
+
+  const filePath = path.resolve(process.cwd(), nameOrPath);
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Scenario ${nameOrPath} is neither built in (${Object.keys(BUILTIN_SCENARIOS).join(', ')}) nor a file`);
+  }
+
+  const data = yaml.load(fs.readFileSync(filePath, 'utf8')) || {};
+  if (!Array.isArray(data.steps) || data.steps.length === 0) {
+    throw new Error(`Scenario ${nameOrPath} has no steps`);
+  }
+
+  const steps = data.steps.map((step, index) => {
+    const where = `Step ${index + 1} of scenario ${nameOrPath}`;
+    if (!step || typeof step.function !== 'string') {
+      throw new Error(`${where} does not name a function`);
+    }
+    const unknownKeys = Object.keys(step).filter(key => !STEP_KEYS.includes(key));
+    if (unknownKeys.length > 0) {
+      throw new Error(`${where} has unknown keys: ${unknownKeys.join(', ')}`);
+    }
+    if (step.args !== undefined && !Array.isArray(step.args)) {
+      throw new Error(`${where} must list its args as an array`);
+    }
+    const expect = step.expect || {};
+    const unknownExpectations = Object.keys(expect).filter(key => !EXPECT_KEYS.includes(key));
+    if (unknownExpectations.length > 0) {
+      throw new Error(`${where} has unknown expectations: ${unknownExpectations.join(', ')}`);
+    }
+    if (expect.revert !== undefined && (expect.returns !== undefined || expect.events !== undefined)) {
+      throw new Error(`${where} can't expect a revert together with return values or events`);
+    }
+    return { ...step, args: step.args || [], expect };
+  });
+
+  return {
+    name: data.name || path.basename(filePath, path.extname(filePath)),
+    builtin: false,
+    description: data.description || null,
+    stopOnFailure: data.stopOnFailure !== false,
+    file: filePath,
+    steps
+  };
+}
+
+// Replace "$wallet" and "$contract" in arguments and expected values
+function resolvePlaceholders(value, context) {
+  if (Array.isArray(value)) {
+    return value.map(item => resolvePlaceholders(item, context));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, resolvePlaceholders(item, context)]));
+  }
+  if (value === '$wallet') {
+    return context.wallet;
+  }
+  if (value === '$contract') {
+    return context.contract;
+  }
+  return value;
+}
+
+// Plain JSON form of a decoded value: numbers as decimal strings, addresses lowercased,
+// results as arrays
+function normalizeValue(value) {
+  if (typeof value === 'bigint' || typeof value === 'number') {
+    return value.toString();
+  }
+  if (typeof value === 'string') {
+    return ethers.isAddress(value) ? value.toLowerCase() : value;
+  }
+  if (Array.isArray(value)) {
+    return Array.from(value, normalizeValue);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, normalizeValue(item)]));
+  }
+  return value;
+}
+
+// Whether an actual value matches an expected one. Expected objects only need to match
+// the keys they list, so events can be checked on some of their arguments.
+function valueMatches(expected, actual) {
+  if (Array.isArray(expected)) {
+    return Array.isArray(actual) && expected.length === actual.length &&
+      expected.every((item, index) => valueMatches(item, actual[index]));
+  }
+  if (expected && typeof expected === 'object') {
+    return Boolean(actual) && typeof actual === 'object' &&
+      Object.entries(expected).every(([key, item]) => valueMatches(item, actual[key]));
+  }
+  return normalizeValue(expected) === normalizeValue(actual);
+}
+
+// Check a function's return value. Functions with one output may be given the value
+// itself or a one-element list.
+function checkReturns(expected, returned, fragment) {
+  const single = fragment.outputs.length === 1 && !fragment.outputs[0].type.endsWith(']');
+  const comparable = single && Array.isArray(expected) && expected.length === 1 ? expected[0] : expected;
+  const passed = valueMatches(comparable, returned);
+  return {
+    type: 'returns',
+    passed,
+    message: passed
+      ? 'return value matches'
+      : `expected return ${JSON.stringify(normalizeValue(comparable))}, got ${JSON.stringify(normalizeValue(returned))}`
+  };
+}
+
+// Check that each expected event ({ name, args }) is among the contract's decoded events
+// (see utils/events). Args are matched by position when given as a list and by name
+// when given as a map.
+function checkEvents(expectedEvents, events) {
+  const emitted = events.filter(event => event.name !== null);
+
+  return expectedEvents.map(expected => {
+    const event = typeof expected === 'string' ? { name: expected } : expected;
+    const passed = emitted.some(log => log.name === event.name && (event.args === undefined ||
+      valueMatches(event.args, Array.isArray(event.args) ? Object.values(log.args) : log.args)));
+    return {
+      type: 'event',
+      passed,
+      message: passed
+        ? `emitted ${event.name}`
+        : `expected event ${event.name}${event.args !== undefined ? ` with ${JSON.stringify(normalizeValue(event.args))}` : ''}, emitted: ${emitted.map(log => log.name).join(', ') || 'none'}`
+    };
+  });
+}
+
+// Check a call's outcome against an expected revert: true for any revert, or text the
+// decoded reason must contain, e.g. a custom error's name or "division or modulo by zero"
+function checkRevert(expected, error, contractInterface = null) {
+  if (!error) {
+    return { type: 'revert', passed: false, message: 'expected a revert, but the call succeeded' };
+  }
+  const { reason } = describeError(error, { contractInterface });
+  const passed = expected === true || reason.includes(String(expected));
+  return {
+    type: 'revert',
+    passed,
+    message: passed ? `reverted: ${reason}` : `expected revert "${expected}", got: ${reason}`
+  };
+}
+
+module.exports = {
+  BUILTIN_SCENARIOS,
+  loadScenario,
+  resolvePlaceholders,
+  normalizeValue,
+  checkReturns,
+  checkEvents,
+  checkRevert
+};
@@ -0,0 +1,64 @@
+const configLoader = require('./utils/config');
+const logger = require('./utils/logger');
+const { parseArgs } = require('./utils/args');
+const Wallet = require('./models/wallet');
+const DeployerService = require('./services/deployer');
+
+// Upgrade a proxy deployment to a new implementation:
+// npm run upgrade -- <proxyAddress> [--seed 123] [--function-count 80]
+// npm run upgrade -- <proxyAddress> --file MyContractV2.sol [--contract MyContractV2]
+// Without --file the proxy's template is regenerated, with a new random seed unless
+// --seed is given. The upgrade is sent from the wallet that deployed the proxy.
+async function main() {
+  const { _: [proxyAddress], flags } = parseArgs();
+  if (!proxyAddress) {
+    throw new Error('Usage: npm run upgrade -- <proxyAddress> [--seed N] [--function-count N] [--file File.sol --contract Name]');
+  }
+
+  const { config, privateKeys, proxies } = configLoader.load();
+  const deployer = new DeployerService(config.deploy);
+  deployer.loadPreviousDeployments();
+
+  const record = deployer.getDeployment(proxyAddress);
+  if (!record || !record.proxy) {
+    throw new Error(`${proxyAddress} is not a recorded proxy deployment`);
+  }
+
+  // The transparent proxy's admin, or the owner that initialized a UUPS implementation
+  const upgrader = (record.proxy.admin || record.wallet).toLowerCase();
+  let wallet = null;
+  for (let i = 0; i < privateKeys.length && !wallet; i++) {
+    const candidate = new Wallet(privateKeys[i], config.network.rpcUrl, proxies.length > i ? proxies[i] : null, config.transactions);
+    if (candidate.getAddress().toLowerCase() === upgrader) {
+      wallet = candidate;
+    }
+  }
+  if (!wallet) {
+    throw new Error(`No private key in pk.txt for ${upgrader}, which is needed to upgrade ${record.address}`);
+  }
+
+  await deployer.useNetwork(wallet.getProvider(), config.network.chainId);
+  if (!deployer.isOnCurrentNetwork(record)) {
+    throw new Error(`${record.address} was deployed on another network (chain ${record.chainId})`);
+  }
+
+  const previous = record.proxy.implementation;
+  const upgraded = await deployer.upgradeProxy(wallet, record.address, {
+    // Numeric seeds match the ones recorded for generated contracts
+    seed: /^\d+$/.test(String(flags.seed)) ? Number(flags.seed) : flags.seed,
+    functionCount: flags['function-count'] !== undefined ? Number(flags['function-count']) : undefined,
+    file: flags.file,
+    contract: flags.contract
+  });
+
+  logger.info(`Proxy ${upgraded.address} upgraded from ${previous} to ${upgraded.proxy.implementation}`);
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    logger.error(`Upgrade failed: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { main };
@@ -0,0 +1,26 @@
+// Parse command line arguments into positional arguments and --flags.
+// "--name value" and "--name=value" set a value; a flag without a value is true.
+function parseArgs(argv = process.argv.slice(2)) {
+  const args = { _: [], flags: {} };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      args._.push(arg);
+      continue;
+    }
+
+    const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+    if (inlineValue !== undefined) {
+      args.flags[name] = inlineValue;
+    } else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+      args.flags[name] = argv[++i];
+    } else {
+      args.flags[name] = true;
+    }
+  }
+
+  return args;
+}
+
+module.exports = { parseArgs };
@@ -13,9 +13,7 @@ class ConfigLoader {
   load() {
     try {
       // Load config.yaml
-      const configPath = path.resolve(process.cwd(), 'config.yaml');
-      const configFile = fs.readFileSync(configPath, 'utf8');
-      this.config = yaml.load(configFile);
+      this.config = this.readConfigFile();
 
       // Load private keys from pk.txt
       const pkPath = path.resolve(process.cwd(), 'pk.txt');
@@ -53,6 +51,23 @@ class ConfigLoader {
     }
   }
 
+  // Read config.yaml only, for tools that don't need private keys or proxies
+  loadConfigFile() {
+    try {
+      this.config = this.readConfigFile();
+      return this.config;
+    } catch (error) {
+      logger.error(`Error loading configuration: ${error.message}`);
+      process.exit(1);
+    }
+  }
+
+  readConfigFile() {
+    const configPath = path.resolve(process.cwd(), 'config.yaml');
+    const configFile = fs.readFileSync(configPath, 'utf8');
+    return yaml.load(configFile);
+  }
+
   getConfig() {
     if (!this.config) {
       this.load();
@@ -0,0 +1,145 @@
+const { ethers } = require('ethers');
+
+// Selectors of the revert payloads the compiler generates
+const ERROR_SELECTOR = '0x08c379a0'; // Error(string)
+const PANIC_SELECTOR = '0x4e487b71'; // Panic(uint256)
+
+// Solidity panic codes
+const PANIC_CODES = {
+  0x00: 'generic compiler panic',
+  0x01: 'assertion failed',
+  0x11: 'arithmetic overflow or underflow',
+  0x12: 'division or modulo by zero',
+  0x21: 'invalid enum value',
+  0x22: 'invalid storage byte array encoding',
+  0x31: 'pop on an empty array',
+  0x32: 'array index out of bounds',
+  0x41: 'out of memory',
+  0x51: 'call to an uninitialized function'
+};
+
+// Failure classes recorded with failed interactions
+const ERROR_CLASSES = ['revert', 'out_of_gas', 'nonce', 'fee', 'rpc', 'timeout'];
+
+// Revert data of an ethers error, which may sit on the error itself or on the RPC
+// error it wraps (ganache nests it as data.result)
+function getRevertData(error) {
+  const seen = new Set();
+  const queue = [error];
+  while (queue.length > 0) {
+    const current = queue.shift();
+    if (!current || typeof current !== 'object' || seen.has(current)) {
+      continue;
+    }
+    seen.add(current);
+
+    for (const candidate of [current.data, current.result]) {
+      if (typeof candidate === 'string' && /^0x[0-9a-f]*$/i.test(candidate) && candidate.length > 2) {
+        return candidate;
+      }
+    }
+    queue.push(current.data, current.error, current.info && current.info.error, current.cause);
+  }
+  return null;
+}
+
+// Decode revert data into { type, reason, ... }: Error(string) as type error, Panic(uint256)
+// as type panic with its code, and errors from the contract's ABI as type custom with
+// their name and arguments
+function decodeRevertData(data, contractInterface = null) {
+  if (!data || data === '0x') {
+    return { type: 'empty', reason: 'reverted without a reason' };
+  }
+
+  const selector = data.slice(0, 10).toLowerCase();
+  const coder = ethers.AbiCoder.defaultAbiCoder();
+  try {
+    if (selector === ERROR_SELECTOR) {
+      const [message] = coder.decode(['string'], ethers.dataSlice(data, 4));
+      return { type: 'error', reason: message };
+    }
+    if (selector === PANIC_SELECTOR) {
+      const [code] = coder.decode(['uint256'], ethers.dataSlice(data, 4));
+      const description = PANIC_CODES[Number(code)] || 'unknown panic';
+      return { type: 'panic', code: `0x${code.toString(16).padStart(2, '0')}`, reason: `panic: ${description}` };
+    }
+    if (contractInterface) {
+      const parsed = contractInterface.parseError(data);
+      if (parsed) {
+        const args = parsed.args.map(arg => (typeof arg === 'bigint' ? arg.toString() : arg));
+        return { type: 'custom', name: parsed.name, args, reason: `${parsed.name}(${args.join(', ')})` };
+      }
+    }
+  } catch (error) {
+    // Malformed payload; reported as unknown below
+  }
+  return { type: 'unknown', data, reason: `unknown revert data ${data.slice(0, 10)}` };
+}
+
+// Classify a failed call or transaction as one of ERROR_CLASSES. A mined transaction
+// that reverted having used its whole gas limit ran out of gas.
+function classifyError(error, { gasLimit = null } = {}) {
+  const message = `${error.shortMessage || ''} ${error.message || ''}`;
+
+  if (error.code === 'TIMEOUT' || /timed? ?out/i.test(message)) {
+    return 'timeout';
+  }
+  if (/out of gas|intrinsic gas too low|gas required exceeds/i.test(message)) {
+    return 'out_of_gas';
+  }
+  if (error.code === 'CALL_EXCEPTION') {
+    const receipt = error.receipt;
+    if (receipt && gasLimit !== null && BigInt(receipt.gasUsed) >= BigInt(gasLimit)) {
+      return 'out_of_gas';
+    }
+    return 'revert';
+  }
+  if (error.code === 'NONCE_EXPIRED' || /nonce/i.test(message)) {
+    return 'nonce';
+  }
+  if (error.code === 'INSUFFICIENT_FUNDS' || error.code === 'REPLACEMENT_UNDERPRICED' ||
+      /underpriced|insufficient funds|fee cap|max fee per gas|base fee/i.test(message)) {
+    return 'fee';
+  }
+  if (/revert/i.test(message)) {
+    return 'revert';
+  }
+  return 'rpc';
+}
+
+// Class, short reason and decoded revert of a failure, for interaction results:
+// { errorClass, reason, revert }, with revert null unless the failure carried revert data
+function describeError(error, { contractInterface = null, gasLimit = null } = {}) {
+  const errorClass = classifyError(error, { gasLimit });
+  const data = getRevertData(error);
+
+  let revert = null;
+  if (data) {
+    revert = decodeRevertData(data, contractInterface);
+  } else if (error.revert && error.revert.name) {
+    // Decoded by ethers, which keeps the payload to itself
+    const args = Array.from(error.revert.args || [], arg => (typeof arg === 'bigint' ? arg.toString() : arg));
+    if (error.revert.name === 'Error') {
+      revert = { type: 'error', reason: args[0] };
+    } else if (error.revert.name === 'Panic') {
+      revert = { type: 'panic', code: `0x${Number(args[0]).toString(16).padStart(2, '0')}`, reason: `panic: ${PANIC_CODES[Number(args[0])] || 'unknown panic'}` };
+    } else {
+      revert = { type: 'custom', name: error.revert.name, args, reason: `${error.revert.name}(${args.join(', ')})` };
+    }
+  }
+
+  let reason = revert ? revert.reason : error.reason || error.shortMessage || error.message;
+  if (errorClass === 'out_of_gas' && !revert) {
+    reason = `out of gas${gasLimit !== null ? ` (gas limit ${gasLimit})` : ''}`;
+  }
+  return { errorClass, reason, revert };
+}
+
+module.exports = {
+  ERROR_CLASSES,
+  PANIC_CODES,
+  getRevertData,
+  decodeRevertData,
+  classifyError,
+  describeError
+};
@@ -0,0 +1,61 @@
+// JSON form of a decoded event argument: numbers as decimal strings, structs and
+// arrays as arrays
+function toJSONValue(value) {
+  if (typeof value === 'bigint') {
+    return value.toString();
+  }
+  if (Array.isArray(value)) {
+    return Array.from(value, toJSONValue);
+  }
+  return value;
+}
+
+// Decode the logs a contract emitted in a receipt with its ABI. Returns
+// { name, signature, logIndex, args } per event, args keyed by parameter name (or
+// position for unnamed ones). Logs of other contracts, or that the ABI doesn't
+// describe, are kept undecoded as { name: null, address, logIndex, topics, data }.
+function decodeEvents(receipt, contractInterface, contractAddress) {
+  return receipt.logs.map(log => {
+    let parsed = null;
+    if (log.address.toLowerCase() === contractAddress.toLowerCase()) {
+      try {
+        parsed = contractInterface.parseLog(log);
+      } catch (error) {
+        // Not an event of this contract's ABI
+      }
+    }
+    if (!parsed) {
+      return { name: null, address: log.address, logIndex: log.index, topics: log.topics, data: log.data };
+    }
+
+    const args = {};
+    parsed.fragment.inputs.forEach((input, position) => {
+      args[input.name || String(position)] = toJSONValue(parsed.args[position]);
+    });
+    return { name: parsed.name, signature: parsed.signature, logIndex: log.index, args };
+  });
+}
+
+// Number of events emitted per name across interaction results, undecoded logs
+// counted as "unknown"
+function countEvents(results, counts = {}) {
+  for (const result of results) {
+    for (const event of result.events || []) {
+      const name = event.name || 'unknown';
+      counts[name] = (counts[name] || 0) + 1;
+    }
+  }
+  return counts;
+}
+
+// "ValueChanged x3, UserValueChanged x1" for the logs
+function formatEventCounts(counts = {}) {
+  const entries = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+  return entries.length > 0 ? entries.map(([name, count]) => `${name} x${count}`).join(', ') : 'none';
+}
+
+module.exports = {
+  decodeEvents,
+  countEvents,
+  formatEventCounts
+};
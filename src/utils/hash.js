@@ -0,0 +1,8 @@
+const crypto = require('crypto');
+
+// Hex-encoded SHA-256 digest of a string or buffer
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+module.exports = { sha256 };
@@ -0,0 +1,34 @@
+const { ethers } = require('ethers');
+
+// Identify a network by chain ID and genesis block hash. Devnets keep their chain ID
+// across resets, but a reset chain starts from a new genesis block.
+async function getNetworkIdentity(provider) {
+  const [network, genesis] = await Promise.all([
+    provider.getNetwork(),
+    provider.getBlock(0)
+  ]);
+
+  return {
+    chainId: Number(network.chainId),
+    genesisHash: genesis ? genesis.hash : null
+  };
+}
+
+// Whether a transaction recorded as mined in a block is still on the canonical chain.
+// After a reorg the transaction may have been mined again in another block (reincluded)
+// or dropped (orphaned). Raw requests avoid ethers' short-lived cache of identical calls,
+// which could return the block from before the reorg.
+async function checkInclusion(provider, { transactionHash, blockNumber, blockHash }) {
+  const block = await provider.send('eth_getBlockByNumber', [ethers.toQuantity(blockNumber), false]);
+  if (block && block.hash === blockHash) {
+    return { status: 'canonical' };
+  }
+
+  const receipt = await provider.send('eth_getTransactionReceipt', [transactionHash]);
+  if (receipt) {
+    return { status: 'reincluded', blockNumber: Number(receipt.blockNumber), blockHash: receipt.blockHash };
+  }
+  return { status: 'orphaned' };
+}
+
+module.exports = { getNetworkIdentity, checkInclusion };
@@ -0,0 +1,30 @@
+const crypto = require('crypto');
+
+// Generate a fresh 32-bit seed for reproducible generation
+function generateSeed() {
+  return crypto.randomBytes(4).readUInt32BE(0);
+}
+
+// Reduce a numeric or string seed to an unsigned 32-bit integer
+function normalizeSeed(seed) {
+  if (typeof seed === 'number' && Number.isInteger(seed)) {
+    return seed >>> 0;
+  }
+  return crypto.createHash('sha256').update(String(seed)).digest().readUInt32BE(0);
+}
+
+// Create a seeded random number generator (mulberry32) returning floats in [0, 1),
+// a drop-in replacement for Math.random
+function createRandom(seed) {
+  let state = normalizeSeed(seed);
+
+  return function random() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+module.exports = { generateSeed, normalizeSeed, createRandom };
@@ -0,0 +1,97 @@
+const configLoader = require('./utils/config');
+const logger = require('./utils/logger');
+const DeployerService = require('./services/deployer');
+const ExplorerClient = require('./services/explorer');
+
+// solc-js reports e.g. 0.8.26+commit.8a97fa7a.Emscripten.clang; explorers expect v0.8.26+commit.8a97fa7a
+function formatCompilerVersion(version) {
+  return `v${version.replace(/\.Emscripten\.clang$/, '')}`;
+}
+
+async function verifyContract(contract, deployer, explorer) {
+  const artifact = deployer.loadArtifacts(contract);
+  if (!artifact) {
+    logger.warn(`No build artifacts found for ${contract.address}. Only contracts deployed with artifact saving can be verified.`);
+    return false;
+  }
+
+  try {
+    const status = await explorer.verify({
+      address: contract.address,
+      contractName: artifact.contractName,
+      sourceName: artifact.sourceName,
+      compilerVersion: formatCompilerVersion(artifact.compiler.version),
+      standardJsonInput: artifact.standardJsonInput,
+      constructorArguments: artifact.constructorArguments
+    });
+
+    deployer.updateDeployment(contract.address, {
+      verification: {
+        status: status.state,
+        message: status.message,
+        checkedAt: new Date().toISOString()
+      }
+    });
+
+    if (status.state === 'verified') {
+      logger.info(`Contract ${contract.address} verified`);
+      return true;
+    }
+
+    logger.warn(`Contract ${contract.address} verification ${status.state}: ${status.message}`);
+    return false;
+  } catch (error) {
+    logger.error(`Failed to verify contract ${contract.address}: ${error.message}`);
+    return false;
+  }
+}
+
+async function main() {
+  try {
+    const addresses = process.argv.slice(2).map(address => address.toLowerCase());
+
+    const config = configLoader.loadConfigFile();
+    const deployer = new DeployerService(config.deploy);
+    deployer.loadPreviousDeployments();
+
+    const explorer = new ExplorerClient({
+      explorerUrl: config.network.explorerUrl,
+      apiUrl: config.network.explorerApiUrl,
+      ...(config.verify || {})
+    });
+
+    // Verify the given addresses, or every deployment that isn't verified yet
+    const contracts = deployer.getDeployedContracts().filter(contract =>
+      addresses.length > 0
+        ? addresses.includes(contract.address.toLowerCase())
+        : !(contract.verification && contract.verification.status === 'verified')
+    );
+
+    if (contracts.length === 0) {
+      logger.info('No contracts to verify');
+      return;
+    }
+
+    let verifiedCount = 0;
+    for (const contract of contracts) {
+      if (await verifyContract(contract, deployer, explorer)) {
+        verifiedCount++;
+      }
+    }
+
+    logger.info(`Verified ${verifiedCount}/${contracts.length} contracts`);
+  } catch (error) {
+    logger.error(`Fatal error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Run the main function
+if (require.main === module) {
+  main().catch(error => {
+    logger.error(`Unhandled error: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { verifyContract, formatCompilerVersion };